@@ -6,10 +6,14 @@
  * 
  * Architecture:
  * - State Manager: Finite state machine for voice control
- * - Voice Engine: Speech recognition and synthesis
+ * - Voice Engine: Speech recognition (browser or offline provider) and synthesis
  * - Language Engine: Grammar analysis and teaching
+ * - Tutor Backend: Writes tutor replies (built-in rules or a model server)
  * - Lesson Engine: Structured lesson management
  * - UI Engine: User interface updates
+ * - Storage Manager: Persists progress between reloads
+ * - Profile Manager: Separate learners on a shared device
+ * - Lesson Editor: Teachers create and edit lessons
  */
 
 class LinguaBridgeApp {
@@ -17,32 +21,118 @@ class LinguaBridgeApp {
         this.log('=== LinguaBridge AI Starting ===');
 
         // Initialize all engines
+        this.languageRegistry = new LanguageRegistry();
         this.stateManager = new StateManager();
-        this.voiceEngine = new VoiceEngine(this.stateManager);
-        this.languageEngine = new LanguageEngine();
-        this.lessonEngine = new LessonEngine();
-        this.uiEngine = new UIEngine(this.stateManager);
-
-        // Language code mappings (ISO codes for speech API)
-        this.languageCodes = {
-            en: 'en-US',
-            es: 'es-ES',
-            de: 'de-DE',
-            fr: 'fr-FR'
+        this.voiceEngine = new VoiceEngine(this.stateManager, this.readConfig('speech-config'));
+        this.languageEngine = new LanguageEngine(this.languageRegistry);
+        this.languageEngine.setBackend(this.createTutorBackend());
+        this.lessonEngine = new LessonEngine(this.languageRegistry);
+        this.uiEngine = new UIEngine(this.stateManager, this.languageRegistry);
+        this.storageManager = new StorageManager({ backend: 'localStorage' });
+        this.profileManager = new ProfileManager(this.storageManager);
+        this.profilePicker = new ProfilePicker(this.profileManager, this.languageRegistry);
+
+        // Number of conversation entries kept in saved progress
+        this.maxSavedHistory = 100;
+
+        // Confidence reported for typed answers: none, since no recognizer
+        // is involved (so typed near misses never get the tie-breaker)
+        this.typedInputConfidence = null;
+
+        // Recognition errors that mean the microphone can't be used at all
+        this.micUnavailableErrors = ['not-allowed', 'service-not-allowed', 'audio-capture'];
+
+        // Message keys for the recognition errors shown to the learner
+        this.recognitionErrorMessages = {
+            'audio-capture': 'error_no_microphone',
+            'not-allowed': 'error_microphone_denied',
+            'service-not-allowed': 'error_microphone_denied',
+            'network': 'error_recognition_unavailable',
+            'language-not-supported': 'error_recognition_unavailable',
+            'model-unavailable': 'error_recognition_unavailable',
+            'not-supported': 'error_recognition_unsupported'
         };
 
+        // Language pair selected until the learner picks another
+        this.defaultLanguages = { native: 'en', learning: 'es' };
+
+        // Teacher authoring view
+        this.lessonEditor = new LessonEditor({
+            lessonEngine: this.lessonEngine,
+            languageRegistry: this.languageRegistry,
+            voiceEngine: this.voiceEngine,
+            stateManager: this.stateManager
+        });
+
+        this.renderLanguageOptions(this.defaultLanguages);
+        this.uiEngine.setRecognitionOptions(
+            this.voiceEngine.getRecognitionSettings(),
+            this.voiceEngine.recognitionSetting
+        );
+
         // Check browser support
         this.checkBrowserSupport();
 
         // Set up event listeners
         this.setupEventListeners();
+        this.renderLessonNav();
+
+        // Restore saved progress, then start the first lesson
+        this.ready = this.initialize().catch(error => {
+            this.log(`Initialization failed: ${error.message}`, 'error');
+            this.uiEngine.showError(this.languageEngine.getMessage('error_startup'));
+        });
+    }
+
+    /**
+     * Pick a learner profile, restore its progress and initialize the first lesson
+     * @returns {Promise} Resolves when the app is ready
+     */
+    async initialize() {
+        // Lesson packs download while the learner picks a profile
+        const packsLoaded = this.lessonEngine.loadPacks();
 
-        // Initialize first lesson
+        await this.restoreSettings();
+        await this.profileManager.load();
+
+        const profile = await this.profilePicker.choose();
+        this.uiEngine.setProfile(profile);
+
+        // Saved progress only restores for lessons that exist
+        await packsLoaded;
+        await this.restoreTeacherLessons();
+        await this.restoreProgress();
         this.initializeFirstLesson();
 
         this.log('=== LinguaBridge AI Ready ===');
     }
 
+    /**
+     * Read a JSON configuration block from the page
+     * @param {string} id - Script element id
+     * @returns {Object} Configuration (empty if the block is missing)
+     */
+    readConfig(id) {
+        const dataElement = document.getElementById(id);
+        return dataElement ? JSON.parse(dataElement.textContent) : {};
+    }
+
+    /**
+     * Create the tutor backend chosen in the tutor-config block
+     * @returns {TutorBackend} Tutor backend (the rules unless configured otherwise)
+     */
+    createTutorBackend() {
+        const config = this.readConfig('tutor-config');
+
+        if (config.backend === 'openai') {
+            return new OpenAITutorBackend(this.languageEngine, config.openai);
+        }
+        if (config.backend && config.backend !== 'rules') {
+            this.log(`Unknown tutor backend "${config.backend}" - using the rules`, 'warn');
+        }
+        return new RuleTutorBackend(this.languageEngine);
+    }
+
     /**
      * Check if browser supports required features
      */
@@ -50,20 +140,25 @@ class LinguaBridgeApp {
         const availability = this.voiceEngine.getAvailability();
 
         if (!availability.fullySupported) {
-            let message = 'Your browser does not fully support voice features. ';
+            const sentences = [this.languageEngine.getMessage('support_incomplete')];
             
             if (!availability.recognition) {
-                message += 'Speech recognition is not available. ';
+                sentences.push(this.languageEngine.getMessage('support_no_recognition'));
             }
             
             if (!availability.synthesis) {
-                message += 'Speech synthesis is not available. ';
+                sentences.push(this.languageEngine.getMessage('support_no_synthesis'));
             }
 
-            message += 'Please use Chrome, Edge, or Safari for the best experience.';
+            sentences.push(this.languageEngine.getMessage('support_browsers'));
             
-            this.uiEngine.showError(message);
-            this.uiEngine.disableMicButton();
+            this.uiEngine.showError(sentences.join(' '));
+
+            // Without recognition, keyboard is the only way to answer
+            if (!availability.recognition) {
+                this.uiEngine.disableMicButton();
+                this.uiEngine.setInputMode('text', false);
+            }
             
             this.log('Browser support incomplete', 'error');
         } else {
@@ -79,6 +174,29 @@ class LinguaBridgeApp {
         const micButton = document.getElementById('micButton');
         micButton.addEventListener('click', () => this.handleMicClick());
 
+        // Typed answers and voice/keyboard switch
+        const textInputForm = document.getElementById('textInputForm');
+        textInputForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.handleTextSubmit();
+        });
+
+        const inputModeToggle = document.getElementById('inputModeToggle');
+        inputModeToggle.addEventListener('click', () => this.toggleInputMode());
+
+        // Lesson editor
+        const editorButton = document.getElementById('editorButton');
+        editorButton.addEventListener('click', () => this.lessonEditor.open());
+
+        // Persist teacher edits for every learner on this device
+        this.lessonEditor.onSave((pack) => {
+            return this.storageManager.save(StorageManager.LESSONS_KEY, { pack }, 'lessons');
+        });
+
+        // Profile switch
+        const profileButton = document.getElementById('profileButton');
+        profileButton.addEventListener('click', () => this.handleProfileClick());
+
         // Language selection changes
         const nativeLang = document.getElementById('native-lang');
         const learningLang = document.getElementById('learning-lang');
@@ -86,13 +204,35 @@ class LinguaBridgeApp {
         nativeLang.addEventListener('change', () => this.handleLanguageChange());
         learningLang.addEventListener('change', () => this.handleLanguageChange());
 
-        // Lesson button clicks
-        const lessonButtons = document.querySelectorAll('.lesson-btn');
-        lessonButtons.forEach(btn => {
-            btn.addEventListener('click', () => {
-                const lessonKey = btn.dataset.lesson;
-                this.switchLesson(lessonKey);
-            });
+        // Speech input setting
+        const recognitionSetting = document.getElementById('recognition-setting');
+        recognitionSetting.addEventListener('change', () => this.handleRecognitionSettingChange());
+
+        // Voice pickers (one per language of the pair)
+        ['learning', 'native'].forEach(role => {
+            const voiceSelect = document.getElementById(`${role}-voice`);
+            voiceSelect.addEventListener('change', () => this.handleVoiceChange(role));
+        });
+        this.voiceEngine.onVoicesChange(() => this.renderVoicePickers());
+
+        // Speed of target phrases
+        const phraseRate = document.getElementById('phrase-rate');
+        phraseRate.addEventListener('change', () => this.handlePhraseRateChange());
+
+        // "Repeat slowly" buttons (delegated: messages are added later)
+        this.uiEngine.elements.chatContainer.addEventListener('click', (event) => {
+            const btn = event.target.closest('.repeat-btn');
+            if (btn) {
+                this.handleRepeat(btn.dataset.text, btn.dataset.lang);
+            }
+        });
+
+        // Lesson button clicks (delegated: the nav is re-rendered)
+        this.uiEngine.elements.lessonNav.addEventListener('click', (event) => {
+            const btn = event.target.closest('.lesson-btn');
+            if (btn) {
+                this.switchLesson(btn.dataset.lesson);
+            }
         });
 
         // Voice engine callbacks
@@ -100,8 +240,26 @@ class LinguaBridgeApp {
             this.handleTranscript(transcript, confidence);
         });
 
-        this.voiceEngine.onError((errorMessage) => {
-            this.uiEngine.showError(errorMessage);
+        this.voiceEngine.onError((errorMessage, errorCode) => {
+            const messageKey = this.recognitionErrorMessages[errorCode];
+            this.uiEngine.showError(messageKey ? this.languageEngine.getMessage(messageKey) : errorMessage);
+
+            // Microphone blocked or missing - fall back to the keyboard
+            if (this.micUnavailableErrors.includes(errorCode)) {
+                this.uiEngine.setInputMode('text');
+            }
+        });
+
+        // Persist progress whenever the lesson engine records a change
+        this.lessonEngine.onProgressChange(() => {
+            this.saveProgress();
+            this.renderLessonNav();
+        });
+
+        // Show lessons added by lesson packs (which may cover fewer languages)
+        this.lessonEngine.onLessonsChange(() => {
+            this.renderLessonNav();
+            this.renderLanguageOptions(this.uiEngine.getLanguageSelections());
         });
 
         this.log('Event listeners set up');
@@ -111,15 +269,46 @@ class LinguaBridgeApp {
      * Initialize the first lesson
      */
     initializeFirstLesson() {
-        const firstLesson = 'greetings';
-        this.lessonEngine.switchLesson(firstLesson);
-        
-        // Set initial languages
+        // Set initial languages (lesson progress is kept per language pair)
         this.handleLanguageChange();
+
+        // Resume the lesson from saved progress (defaults to greetings)
+        const firstLesson = this.lessonEngine.currentLesson;
+        this.lessonEngine.switchLesson(firstLesson);
+        this.uiEngine.setActiveLesson(firstLesson);
         
         this.log(`Initialized with lesson: ${firstLesson}`);
     }
 
+    /**
+     * Fill the language selects
+     * Native-only languages are offered in the native select only, and a
+     * language is offered for learning only if every loaded lesson pack
+     * translates its phrases into it
+     * @param {Object} selected - { native, learning } codes to keep selected
+     */
+    renderLanguageOptions(selected) {
+        const packLanguages = this.lessonEngine.getPackLanguages();
+        const learningCodes = this.languageRegistry.getLearningCodes()
+            .filter(code => !packLanguages || packLanguages.includes(code));
+        const toOptions = codes => codes.map(code => ({
+            code,
+            name: this.languageRegistry.getName(code)
+        }));
+
+        this.uiEngine.setLanguageOptions({
+            native: toOptions(this.languageRegistry.getNativeCodes()),
+            learning: toOptions(learningCodes)
+        }, selected);
+    }
+
+    /**
+     * Render the lesson navigation from the current lessons and progress
+     */
+    renderLessonNav() {
+        this.uiEngine.renderLessonNav(this.lessonEngine.getAllLessonsMetadata());
+    }
+
     /**
      * Handle microphone button click
      */
@@ -128,17 +317,17 @@ class LinguaBridgeApp {
 
         this.log(`Mic button clicked in state: ${currentState}`);
 
-        // Can only start listening from IDLE state
-        if (currentState === StateManager.STATES.IDLE) {
+        // Start listening from IDLE state, or interrupt the tutor (barge-in)
+        if (currentState === StateManager.STATES.IDLE || currentState === StateManager.STATES.SPEAKING) {
             this.startListening();
         } 
         // Can cancel listening if currently listening
         else if (currentState === StateManager.STATES.LISTENING) {
             this.voiceEngine.stopListening();
         }
-        // Ignore clicks in other states
+        // Ignore clicks while processing
         else {
-            this.log('Mic click ignored - not in IDLE or LISTENING state', 'warn');
+            this.log('Mic click ignored - processing', 'warn');
         }
     }
 
@@ -158,17 +347,60 @@ class LinguaBridgeApp {
             
             // Show hint about the current lesson prompt
             const prompt = this.lessonEngine.getRandomPrompt();
-            this.uiEngine.setCustomHint(`Try: ${prompt}`);
+            this.uiEngine.setCustomHint(this.languageEngine.getMessage('hint_try', { prompt }));
+        }
+    }
+
+    /**
+     * Handle a typed answer
+     * Goes through the same IDLE → LISTENING → PROCESSING path as speech,
+     * so the rest of the pipeline can't tell the difference
+     */
+    handleTextSubmit() {
+        if (!this.stateManager.is(StateManager.STATES.IDLE)) {
+            this.log('Typed answer ignored - not in IDLE state', 'warn');
+            return;
+        }
+
+        if (!this.uiEngine.validateLanguageSelections()) {
+            return;
+        }
+
+        const text = this.uiEngine.takeTextInput();
+        if (!text) return;
+
+        this.stateManager.transition(StateManager.STATES.LISTENING);
+        this.stateManager.transition(StateManager.STATES.PROCESSING);
+
+        this.handleTranscript(text, this.typedInputConfidence);
+
+        // Suggest the next thing to type
+        this.uiEngine.setTextPlaceholder(this.lessonEngine.getRandomPrompt());
+    }
+
+    /**
+     * Switch between speaking and typing answers
+     */
+    toggleInputMode() {
+        const nextMode = this.uiEngine.getInputMode() === 'voice' ? 'text' : 'voice';
+
+        // Stop an active recording when moving to the keyboard
+        if (nextMode === 'text' && this.stateManager.is(StateManager.STATES.LISTENING)) {
+            this.voiceEngine.stopListening();
         }
+
+        this.uiEngine.setInputMode(nextMode, this.voiceEngine.getAvailability().recognition);
+        this.log(`Input mode: ${nextMode}`);
     }
 
     /**
      * Handle received transcript from speech recognition
      * @param {string} transcript - User's speech as text
-     * @param {number} confidence - Confidence score
+     * @param {number|null} confidence - Recognizer confidence (null for typed answers)
      */
-    handleTranscript(transcript, confidence) {
-        this.log(`Processing transcript: "${transcript}" (confidence: ${confidence.toFixed(2)})`);
+    async handleTranscript(transcript, confidence) {
+        const confidenceText = typeof confidence === 'number' ? confidence.toFixed(2) : 'typed';
+        this.log(`Processing transcript: "${transcript}" (confidence: ${confidenceText})`);
 
         // Add user message to chat
         this.uiEngine.addMessage(transcript, 'user', false);
@@ -179,33 +411,126 @@ class LinguaBridgeApp {
         // Get lesson context
         const context = this.lessonEngine.getContext();
 
-        // Analyze with language engine
-        const response = this.languageEngine.analyzeAndRespond(transcript, context);
+        // Get the tutor's reply from the configured backend
+        // (confidence only breaks ties right at the pass threshold)
+        let response;
+        try {
+            response = await this.languageEngine.respond(transcript, context, confidence);
+        } catch (error) {
+            this.log(`Tutor error: ${error.message}`, 'error');
+            this.uiEngine.removeTypingIndicator();
+            this.uiEngine.showError(this.languageEngine.getMessage('error_tutor'));
+            this.stateManager.reset();
+            return;
+        }
 
-        // Record attempt
-        const successful = confidence > 0.7; // Consider high confidence as successful
-        this.lessonEngine.recordAttempt(successful);
+        // Record the graded attempt (also reschedules the matched phrase for review)
+        this.lessonEngine.recordAttempt(response.grade);
+        this.uiEngine.setReviewCount(this.lessonEngine.getReviewCount());
 
-        // Format response text
-        const responseText = this.languageEngine.formatResponse(response);
+        // Follow the branch the learner took in a role-play scenario
+        const scenarioStep = this.lessonEngine.advanceScenario(response.scenario);
 
         // Remove typing indicator
         this.uiEngine.removeTypingIndicator();
 
-        // Add assistant response to chat
-        this.uiEngine.addMessage(responseText, 'assistant', true);
+        // Add assistant response to chat (with word diff for near misses,
+        // and the corrected phrase - or the character's line - to repeat slowly)
+        const parts = this.languageEngine.getResponseParts(response);
+        this.uiEngine.addMessage(
+            parts,
+            'assistant',
+            true,
+            {
+                diff: response.diff,
+                repeat: this.getRepeatOption(response.correction || (response.scenario ? response.nextPrompt : null))
+            }
+        );
+
+        if (scenarioStep && scenarioStep.finished) {
+            this.showScenarioOpening(this.languageEngine.getMessage('scenario_complete'));
+        }
+
+        // Speak each part in its own language's voice
+        this.speakResponse(this.getSpeechSegments(parts));
+    }
+
+    /**
+     * Show the opening line of the current lesson's scenario
+     * @param {string} note - Success note shown before the line (optional)
+     * @returns {string|null} Opening line, or null outside a scenario
+     */
+    showScenarioOpening(note = null) {
+        const { scenario } = this.lessonEngine.getContext();
+        if (!scenario) return null;
+
+        if (note) {
+            this.uiEngine.showSuccess(note);
+        }
+
+        const line = this.languageEngine.getScenarioLine(scenario);
+        this.uiEngine.addMessage(
+            [{ text: line, lang: this.languageEngine.learningLanguage, role: 'prompt' }],
+            'assistant',
+            true,
+            { repeat: this.getRepeatOption(line) }
+        );
+        return line;
+    }
+
+    /**
+     * Turn message parts into speech segments for VoiceEngine.speak()
+     * Every part gets its own language's voice: learning-language parts at
+     * the learner's phrase speed, all others at normal speed. Untagged parts
+     * are taken to be English. Parts in a language without a voice are left
+     * out: without a native voice the feedback stays text-only and only the
+     * learning-language parts are spoken.
+     * @param {Array} parts - Parts as { text, lang, role }
+     * @returns {Array} Segments as { text, lang, rate } (lang is a BCP-47 locale)
+     */
+    getSpeechSegments(parts) {
+        const { learningLanguage } = this.languageEngine;
+
+        return parts
+            .map(part => {
+                const lang = part.lang || LanguageRegistry.FALLBACK_LANGUAGE;
+                return {
+                    text: part.text,
+                    lang: this.languageRegistry.getLocale(lang),
+                    rate: lang === learningLanguage ? this.voiceEngine.getPhraseRate() : null
+                };
+            })
+            .filter(segment => this.voiceEngine.hasVoice(segment.lang));
+    }
+
+    /**
+     * Get the "repeat slowly" option for a learning-language phrase
+     * @param {string|null} text - Phrase in the learning language
+     * @returns {Object|null} { text, lang } for UIEngine.addMessage(), or
+     *   null without a phrase or a voice to speak it
+     */
+    getRepeatOption(text) {
+        const locale = this.languageRegistry.getLocale(this.languageEngine.learningLanguage);
 
-        // Speak the response
-        this.speakResponse(responseText);
+        if (!text || !this.voiceEngine.hasVoice(locale)) return null;
+        return { text, lang: locale };
     }
 
     /**
      * Speak the AI response
-     * @param {string} text - Text to speak
+     * Without speech synthesis (or with nothing to say) the response stays text-only
+     * @param {Array} segments - Segments from getSpeechSegments()
      */
-    async speakResponse(text) {
+    async speakResponse(segments) {
+        if (segments.length === 0 || !this.voiceEngine.getAvailability().synthesis) {
+            if (this.stateManager.is(StateManager.STATES.PROCESSING)) {
+                this.stateManager.transition(StateManager.STATES.IDLE);
+            }
+            return;
+        }
+
         try {
-            await this.voiceEngine.speak(text);
+            await this.voiceEngine.speak(segments);
             this.log('Finished speaking response');
         } catch (error) {
             this.log(`Speech error: ${error.message}`, 'error');
@@ -229,22 +554,155 @@ class LinguaBridgeApp {
         this.languageEngine.setNativeLanguage(selections.native);
         this.languageEngine.setLearningLanguage(selections.learning);
 
+        // Review cards are kept per language pair
+        this.lessonEngine.setLanguagePair(selections.native, selections.learning);
+        this.uiEngine.setReviewCount(this.lessonEngine.getReviewCount());
+
         // Update voice engine
-        const learningCode = this.languageCodes[selections.learning];
-        this.voiceEngine.setRecognitionLanguage(learningCode);
-        this.voiceEngine.setSynthesisLanguage(learningCode);
+        const learningLocale = this.languageRegistry.getLocale(selections.learning);
+        this.voiceEngine.setRecognitionLanguage(learningLocale);
+        this.voiceEngine.setSynthesisLanguage(learningLocale);
+
+        // Lay out the page in the native language's direction, and write
+        // the interface, lessons and profile dialog in the native language
+        this.uiEngine.setTextLanguages(
+            { code: selections.native, dir: this.languageRegistry.getDirection(selections.native) },
+            { code: selections.learning, dir: this.languageRegistry.getDirection(selections.learning) }
+        );
+        this.profilePicker.setLanguage(selections.native);
+        this.renderLessonNav();
+
+        // Offer the voices of both languages
+        this.renderVoicePickers();
 
         this.log(`Languages updated - Native: ${selections.native}, Learning: ${selections.learning}`);
 
-        // Show message about language change
-        const languageName = this.getLanguageName(selections.learning);
+        this.saveProgress();
+
+        // Show message about language change (in the native language)
+        const languageName = this.languageEngine.getLanguageName(selections.learning);
         this.uiEngine.addMessage(
-            `Great! Now you're learning ${languageName}. Let's practice!`,
+            [{
+                text: this.languageEngine.getMessage('language_changed', { language: languageName }),
+                lang: selections.native
+            }],
             'assistant',
             false
         );
     }
 
+    /**
+     * Fill the voice pickers for the selected language pair
+     */
+    renderVoicePickers() {
+        const selections = this.uiEngine.getLanguageSelections();
+
+        ['learning', 'native'].forEach(role => {
+            const code = selections[role];
+            this.uiEngine.setVoiceOptions(
+                role,
+                this.languageRegistry.getName(code),
+                this.voiceEngine.getVoices(this.languageRegistry.getLocale(code)),
+                this.voiceEngine.getVoice(code)
+            );
+        });
+    }
+
+    /**
+     * Handle a voice picked for one language of the pair
+     * The choice is kept per language and saved with the learner's progress
+     * @param {string} role - 'learning' or 'native'
+     */
+    handleVoiceChange(role) {
+        const code = this.uiEngine.getLanguageSelections()[role];
+
+        this.voiceEngine.setVoice(code, this.uiEngine.getVoiceSelection(role));
+        this.saveProgress();
+    }
+
+    /**
+     * Handle a new phrase speed
+     * The speed is saved with the learner's progress
+     */
+    handlePhraseRateChange() {
+        this.voiceEngine.setPhraseRate(this.uiEngine.getPhraseRate());
+        this.saveProgress();
+    }
+
+    /**
+     * Say a phrase again slowly, word by word
+     * Only while idle: the tutor goes IDLE -> PROCESSING -> SPEAKING -> IDLE
+     * as for any other reply
+     * @param {string} text - Phrase in the learning language
+     * @param {string} locale - BCP-47 locale of the phrase
+     */
+    async handleRepeat(text, locale) {
+        if (!this.stateManager.is(StateManager.STATES.IDLE)) {
+            this.log('Cannot repeat - not in IDLE state', 'warn');
+            return;
+        }
+
+        this.stateManager.transition(StateManager.STATES.PROCESSING);
+
+        try {
+            await this.voiceEngine.speakSlowly(text, locale);
+            this.log(`Repeated slowly: "${text}"`);
+        } catch (error) {
+            this.log(`Speech error: ${error.message}`, 'error');
+            this.stateManager.reset();
+        }
+    }
+
+    /**
+     * Handle a change of the speech input setting
+     */
+    async handleRecognitionSettingChange() {
+        // Finish the current recording with the old provider
+        if (this.stateManager.is(StateManager.STATES.LISTENING)) {
+            this.voiceEngine.stopListening();
+        }
+
+        this.voiceEngine.setRecognitionSetting(this.uiEngine.getRecognitionSetting());
+        this.updateVoiceInput();
+
+        await this.storageManager.save(
+            StorageManager.SETTINGS_KEY,
+            { recognition: this.voiceEngine.recognitionSetting },
+            'settings'
+        );
+    }
+
+    /**
+     * Offer the microphone only while some recognition provider can run
+     */
+    updateVoiceInput() {
+        const { recognition } = this.voiceEngine.getAvailability();
+
+        if (recognition) {
+            this.uiEngine.enableMicButton();
+            this.uiEngine.setInputMode(this.uiEngine.getInputMode(), true);
+        } else {
+            this.uiEngine.disableMicButton();
+            this.uiEngine.setInputMode('text', false);
+        }
+    }
+
+    /**
+     * Restore the device settings (speech input)
+     */
+    async restoreSettings() {
+        const settings = await this.storageManager.load(StorageManager.SETTINGS_KEY, 'settings');
+        if (!settings || !settings.recognition) return;
+
+        if (this.voiceEngine.setRecognitionSetting(settings.recognition)) {
+            this.uiEngine.setRecognitionOptions(
+                this.voiceEngine.getRecognitionSettings(),
+                this.voiceEngine.recognitionSetting
+            );
+            this.updateVoiceInput();
+        }
+    }
+
     /**
      * Switch to a different lesson
      * @param {string} lessonKey - Lesson to switch to
@@ -262,31 +720,143 @@ class LinguaBridgeApp {
             // Update UI
             this.uiEngine.setActiveLesson(lessonKey);
 
-            // Get lesson intro
+            // Get lesson intro (a scenario's character then opens the dialogue)
             const intro = this.lessonEngine.getLessonIntro();
             this.uiEngine.showLessonIntro(intro);
+            const openingLine = this.showScenarioOpening();
 
-            // Speak the intro
+            // Speak the intro (and the opening line in the learning voice)
+            const parts = [{ text: intro, lang: this.lessonEngine.getLessonIntroLanguage() }];
+            if (openingLine) {
+                parts.push({ text: openingLine, lang: this.languageEngine.learningLanguage });
+            }
             this.stateManager.transition(StateManager.STATES.PROCESSING);
-            this.speakResponse(intro);
+            this.speakResponse(this.getSpeechSegments(parts));
 
             this.log(`Switched to lesson: ${lessonKey}`);
+        } else if (lessonKey === LessonEngine.REVIEW_KEY) {
+            this.uiEngine.showSuccess(this.languageEngine.getMessage('review_empty'));
         }
     }
 
     /**
-     * Get language name from code
-     * @param {string} code - Language code
-     * @returns {string} Language name
+     * Handle profile button click - switch to another learner
      */
-    getLanguageName(code) {
-        const names = {
-            en: 'English',
-            es: 'Spanish',
-            de: 'German',
-            fr: 'French'
-        };
-        return names[code] || code;
+    async handleProfileClick() {
+        // Can't switch learners mid-conversation
+        if (!this.stateManager.is(StateManager.STATES.IDLE)) {
+            this.log('Cannot switch profiles - not in IDLE state', 'warn');
+            return;
+        }
+
+        await this.saveProgress();
+
+        let profile = await this.profilePicker.choose({ allowCancel: true });
+
+        // Cancelling is only allowed if the active profile still exists
+        if (!profile && !this.profileManager.getActiveProfile()) {
+            profile = await this.profilePicker.choose();
+        }
+
+        if (!profile) return;
+
+        await this.switchProfile(profile);
+    }
+
+    /**
+     * Load another learner's progress into all engines
+     * @param {Object} profile - Selected profile
+     */
+    async switchProfile(profile) {
+        this.lessonEngine.resetAllProgress();
+        this.languageEngine.clearHistory();
+        this.voiceEngine.setVoiceChoices({});
+        this.voiceEngine.setPhraseRate(null);
+        this.uiEngine.setPhraseRate(this.voiceEngine.getPhraseRate());
+        this.uiEngine.showWelcome();
+        this.uiEngine.setProfile(profile);
+
+        // A new learner starts from the default pair, not the previous learner's
+        this.uiEngine.setLanguageSelections(this.defaultLanguages.native, this.defaultLanguages.learning);
+
+        await this.restoreProgress();
+        this.initializeFirstLesson();
+
+        this.log(`Switched to profile: ${profile.name}`);
+    }
+
+    /**
+     * Get the storage key for the active learner's progress
+     * @returns {string|null} Storage key, or null without an active profile
+     */
+    getProgressKey() {
+        const profile = this.profileManager.getActiveProfile();
+        return profile ? this.profileManager.getProgressKey(profile.id) : null;
+    }
+
+    /**
+     * Restore lesson progress, conversation history, language pair, voices
+     * and phrase speed
+     */
+    async restoreProgress() {
+        const key = this.getProgressKey();
+        const snapshot = key ? await this.storageManager.load(key) : null;
+
+        if (!snapshot) {
+            this.log('No saved progress found');
+            return;
+        }
+
+        if (snapshot.languages) {
+            this.uiEngine.setLanguageSelections(
+                snapshot.languages.native,
+                snapshot.languages.learning
+            );
+        }
+
+        if (snapshot.lessons) {
+            this.lessonEngine.importProgress(snapshot.lessons);
+        }
+
+        this.languageEngine.importHistory(snapshot.conversationHistory);
+        this.voiceEngine.setVoiceChoices(snapshot.voices);
+        this.voiceEngine.setPhraseRate(snapshot.phraseRate);
+        this.uiEngine.setPhraseRate(this.voiceEngine.getPhraseRate());
+
+        this.log(`Restored progress saved at ${new Date(snapshot.savedAt).toLocaleString()}`);
+    }
+
+    /**
+     * Add the teacher lesson pack saved by the lesson editor
+     */
+    async restoreTeacherLessons() {
+        const saved = await this.storageManager.load(StorageManager.LESSONS_KEY, 'lessons');
+        const pack = saved && saved.pack
+            ? this.lessonEngine.packLoader.parse(saved.pack, 'saved teacher lessons')
+            : null;
+
+        if (!pack) return;
+
+        this.lessonEditor.setPack(pack);
+        this.lessonEngine.addPacks([pack]);
+    }
+
+    /**
+     * Save lesson progress, conversation history, language pair, voices
+     * and phrase speed
+     * @returns {Promise<boolean>} True if saved
+     */
+    async saveProgress() {
+        const key = this.getProgressKey();
+        if (!key) return false;
+
+        return this.storageManager.save(key, {
+            languages: this.uiEngine.getLanguageSelections(),
+            lessons: this.lessonEngine.exportProgress(),
+            conversationHistory: this.languageEngine.getHistory().slice(-this.maxSavedHistory),
+            voices: this.voiceEngine.getVoiceChoices(),
+            phraseRate: this.voiceEngine.getPhraseRate()
+        });
     }
 
     /**
@@ -294,12 +864,15 @@ class LinguaBridgeApp {
      * @returns {Object} Status object
      */
     getStatus() {
+        const activeProfile = this.profileManager.getActiveProfile();
+
         return {
             state: this.stateManager.getState(),
             currentLesson: this.lessonEngine.currentLesson,
             languages: this.uiEngine.getLanguageSelections(),
             voiceSupport: this.voiceEngine.getAvailability(),
-            progress: this.lessonEngine.getOverallProgress()
+            progress: this.lessonEngine.getOverallProgress(),
+            profile: activeProfile ? activeProfile.name : null
         };
     }
 
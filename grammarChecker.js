@@ -0,0 +1,346 @@
+/**
+ * ============================================
+ * GRAMMAR CHECKER
+ * ============================================
+ * Rule-based grammar checks driven by translations-data grammar_patterns
+ *
+ * Checks:
+ * - Article gender (el/la, der/die/das, le/la) against noun_genders
+ * - Missing article before a known countable noun
+ * - Missing subject pronoun where the language requires one
+ * - Verb/pronoun agreement using the conjugation tables
+ *
+ * Every issue carries a fix, so the checker can also build a corrected
+ * sentence. The checker only knows the words listed in the data; anything
+ * else is left alone rather than guessed at.
+ */
+
+class GrammarChecker {
+    /**
+     * @param {LanguageRegistry} registry - Language data (grammar_patterns)
+     */
+    constructor(registry) {
+        this.registry = registry;
+
+        // Reverse conjugation index per language (form -> persons), built lazily
+        this.verbIndexes = {};
+    }
+
+    /**
+     * Check a learner utterance
+     * @param {string} input - What the learner said
+     * @param {string} lang - Language code of the utterance
+     * @param {string} expected - Lesson phrase the learner was aiming for (optional)
+     * @returns {Object} { issues, corrected }
+     */
+    check(input, lang, expected = null) {
+        const patterns = this.getPatterns(lang);
+        const tokens = this.tokenize(input);
+
+        if (!patterns || tokens.length === 0) {
+            return { issues: [], corrected: input };
+        }
+
+        const issues = [
+            ...this.findArticleGenderIssues(tokens, patterns),
+            ...this.findMissingArticleIssues(tokens, patterns, expected ? this.tokenize(expected) : null),
+            ...this.findMissingPronounIssues(tokens, patterns, lang),
+            ...this.findAgreementIssues(tokens, patterns, lang)
+        ];
+
+        issues.sort((a, b) => a.fix.index - b.fix.index);
+
+        return {
+            issues,
+            corrected: issues.length > 0 ? this.applyFixes(tokens, issues) : input
+        };
+    }
+
+    /**
+     * Get grammar patterns for a language
+     * @param {string} lang - Language code
+     * @returns {Object|null} grammar_patterns
+     */
+    getPatterns(lang) {
+        return this.registry.getGrammarPatterns(lang);
+    }
+
+    /**
+     * Split text into lowercase words, separating elisions ("j'ai" -> "j'", "ai")
+     * @param {string} text - Raw text
+     * @returns {Array} Tokens
+     */
+    tokenize(text) {
+        return text
+            .toLowerCase()
+            .replace(/’/g, "'")
+            .replace(/(\p{L})'(?=\p{L})/gu, "$1' ")
+            .split(/\s+/)
+            .map(word => word.replace(/[^\p{L}\p{N}']/gu, ''))
+            .filter(word => word && word !== "'");
+    }
+
+    /**
+     * Find articles whose gender does not match the following noun
+     * @param {Array} tokens - Utterance tokens
+     * @param {Object} patterns - grammar_patterns
+     * @returns {Array} Issues
+     */
+    findArticleGenderIssues(tokens, patterns) {
+        const articleGenders = patterns.article_genders || {};
+        const nounGenders = patterns.noun_genders || {};
+        const issues = [];
+
+        tokens.forEach((token, index) => {
+            const genders = articleGenders[token];
+            const noun = tokens[index + 1];
+            const nounGender = noun ? nounGenders[noun] : null;
+
+            // Plural articles are skipped: the noun list is singular
+            if (!genders || !nounGender || genders.includes('pl') || genders.includes(nounGender)) {
+                return;
+            }
+
+            const correct = this.matchArticle(token, nounGender, noun, patterns);
+            if (!correct) return;
+
+            issues.push({
+                type: 'article_gender',
+                article: token,
+                noun,
+                correct,
+                fix: { op: 'replace', index, word: correct }
+            });
+        });
+
+        return issues;
+    }
+
+    /**
+     * Find known countable nouns that should have an article but don't
+     * Uses the lesson phrase when available, otherwise article_required_after
+     * @param {Array} tokens - Utterance tokens
+     * @param {Object} patterns - grammar_patterns
+     * @param {Array|null} expectedTokens - Lesson phrase tokens
+     * @returns {Array} Issues
+     */
+    findMissingArticleIssues(tokens, patterns, expectedTokens) {
+        const articleGenders = patterns.article_genders || {};
+        const nounGenders = patterns.noun_genders || {};
+        const massNouns = patterns.mass_nouns || [];
+        const requiredAfter = patterns.article_required_after || {};
+        const isArticle = word => word in articleGenders || (patterns.articles || []).includes(word);
+        const issues = [];
+
+        tokens.forEach((noun, index) => {
+            const gender = nounGenders[noun];
+            const previous = tokens[index - 1];
+
+            if (!gender || massNouns.includes(noun) || (previous && isArticle(previous))) {
+                return;
+            }
+
+            let article = null;
+
+            // The lesson phrase shows which article belongs here
+            if (expectedTokens) {
+                const expectedIndex = expectedTokens.indexOf(noun);
+                const expectedArticle = expectedTokens[expectedIndex - 1];
+                if (expectedIndex > 0 && isArticle(expectedArticle)) {
+                    article = expectedArticle;
+                }
+            }
+
+            // Otherwise a trigger word like "está" or "brauche" asks for one
+            if (!article && previous && requiredAfter[previous]) {
+                article = this.chooseArticle(requiredAfter[previous], gender, noun, patterns);
+            }
+
+            if (!article) return;
+
+            issues.push({
+                type: 'missing_article',
+                article,
+                noun,
+                fix: { op: 'insert', index, word: article }
+            });
+        });
+
+        return issues;
+    }
+
+    /**
+     * Find a sentence-initial first/second person verb with no subject pronoun
+     * Third person forms are skipped: their subject may be a noun
+     * @param {Array} tokens - Utterance tokens
+     * @param {Object} patterns - grammar_patterns
+     * @param {string} lang - Language code
+     * @returns {Array} Issues
+     */
+    findMissingPronounIssues(tokens, patterns, lang) {
+        if (!patterns.subject_required) return [];
+
+        const pronounPersons = patterns.pronoun_persons || {};
+        const verb = tokens[0];
+        const entry = this.getVerbIndex(lang)[verb];
+
+        if (!entry || pronounPersons[tokens[1]]) return [];
+
+        const needsPronoun = entry.persons.every(person => person.startsWith('1') || person.startsWith('2'));
+        if (!needsPronoun) return [];
+
+        const pronoun = this.choosePronoun(entry.persons[0], verb, pronounPersons);
+        if (!pronoun) return [];
+
+        return [{
+            type: 'missing_pronoun',
+            pronoun,
+            verb,
+            fix: { op: 'insert', index: 0, word: pronoun }
+        }];
+    }
+
+    /**
+     * Find a subject pronoun followed by a verb form for another person
+     * @param {Array} tokens - Utterance tokens
+     * @param {Object} patterns - grammar_patterns
+     * @param {string} lang - Language code
+     * @returns {Array} Issues
+     */
+    findAgreementIssues(tokens, patterns, lang) {
+        const pronounPersons = patterns.pronoun_persons || {};
+        const verbIndex = this.getVerbIndex(lang);
+        const issues = [];
+
+        tokens.forEach((pronoun, index) => {
+            const persons = pronounPersons[pronoun];
+            const verb = tokens[index + 1];
+            const entry = verb ? verbIndex[verb] : null;
+
+            if (!persons || !entry || entry.persons.some(person => persons.includes(person))) {
+                return;
+            }
+
+            const correct = patterns.conjugations[entry.lemma][persons[0]];
+            if (!correct) return;
+
+            issues.push({
+                type: 'agreement',
+                pronoun,
+                verb,
+                correct,
+                fix: { op: 'replace', index: index + 1, word: correct }
+            });
+        });
+
+        return issues;
+    }
+
+    /**
+     * Build (once) the reverse index from verb form to lemma and persons
+     * @param {string} lang - Language code
+     * @returns {Object} Map of form -> { lemma, persons }
+     */
+    getVerbIndex(lang) {
+        if (this.verbIndexes[lang]) return this.verbIndexes[lang];
+
+        const patterns = this.getPatterns(lang) || {};
+        const index = {};
+
+        Object.entries(patterns.conjugations || {}).forEach(([lemma, forms]) => {
+            Object.entries(forms).forEach(([person, form]) => {
+                if (!index[form]) {
+                    index[form] = { lemma, persons: [] };
+                }
+                if (index[form].lemma === lemma) {
+                    index[form].persons.push(person);
+                }
+            });
+        });
+
+        this.verbIndexes[lang] = index;
+        return index;
+    }
+
+    /**
+     * Pick the article of the same kind (definite/indefinite) as the one used
+     * @param {string} used - Article the learner used
+     * @param {string} gender - Noun gender
+     * @param {string} noun - Noun
+     * @param {Object} patterns - grammar_patterns
+     * @returns {string|null} Correct article
+     */
+    matchArticle(used, gender, noun, patterns) {
+        const byGender = patterns.articles_by_gender || {};
+        const kind = Object.keys(byGender).find(key =>
+            typeof byGender[key] === 'object' && Object.values(byGender[key]).includes(used)
+        );
+
+        return kind ? this.chooseArticle(kind, gender, noun, patterns) : null;
+    }
+
+    /**
+     * Pick an article for a noun
+     * @param {string} kind - 'definite' or 'indefinite'
+     * @param {string} gender - Noun gender
+     * @param {string} noun - Noun (for elision before vowels: l', an)
+     * @param {Object} patterns - grammar_patterns
+     * @returns {string|null} Article
+     */
+    chooseArticle(kind, gender, noun, patterns) {
+        const byGender = patterns.articles_by_gender || {};
+        const beforeVowel = byGender[`${kind}_before_vowel`];
+
+        if (beforeVowel && /^[aeiouhâàéèêîôû]/.test(noun)) {
+            return beforeVowel;
+        }
+
+        return byGender[kind] ? byGender[kind][gender] || null : null;
+    }
+
+    /**
+     * Pick a subject pronoun for a person, preferring an elided form before vowels
+     * @param {string} person - Person code (1s, 2s, ...)
+     * @param {string} verb - Verb that follows
+     * @param {Object} pronounPersons - pronoun_persons
+     * @returns {string|null} Pronoun
+     */
+    choosePronoun(person, verb, pronounPersons) {
+        const candidates = Object.keys(pronounPersons).filter(pronoun =>
+            pronounPersons[pronoun].includes(person)
+        );
+        const startsWithVowel = /^[aeiouhâàéèêîôû]/.test(verb);
+        const elided = candidates.find(pronoun => pronoun.endsWith("'"));
+
+        if (elided && startsWithVowel) return elided;
+
+        return candidates.find(pronoun => !pronoun.endsWith("'")) || null;
+    }
+
+    /**
+     * Apply issue fixes to the tokens and join them back into a sentence
+     * @param {Array} tokens - Utterance tokens
+     * @param {Array} issues - Issues with fixes
+     * @returns {string} Corrected sentence
+     */
+    applyFixes(tokens, issues) {
+        const words = [...tokens];
+
+        // Apply from the end so earlier indexes stay valid
+        [...issues].reverse().forEach(({ fix }) => {
+            if (fix.op === 'replace') {
+                words[fix.index] = fix.word;
+            } else if (fix.op === 'insert') {
+                words.splice(fix.index, 0, fix.word);
+            }
+        });
+
+        return words.reduce((sentence, word) => {
+            if (!sentence) return word;
+            return sentence.endsWith("'") ? sentence + word : `${sentence} ${word}`;
+        }, '');
+    }
+}
+
+// Export for use in other modules
+window.GrammarChecker = GrammarChecker;
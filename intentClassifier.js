@@ -0,0 +1,176 @@
+/**
+ * ============================================
+ * INTENT CLASSIFIER
+ * ============================================
+ * Offline intent recognition by keyword/n-gram scoring
+ *
+ * Training phrases come from each language's "intents" entry in
+ * translations-data:
+ * {
+ *   "intents": {
+ *     "thanks": ["thank you", "thanks", "many thanks"],
+ *     "price": ["how much", "what does it cost"],
+ *     ...
+ *   }
+ * }
+ *
+ * Every phrase is broken into words and word pairs. Features shared by many
+ * intents (like "i" or "is") weigh less than features only one intent uses.
+ * An input scores, per training phrase, the share of that phrase's weight it
+ * contains; the best phrase decides the intent.
+ */
+
+class IntentClassifier {
+    /**
+     * Share of a training phrase an input must contain to count as that intent
+     */
+    static MIN_SCORE = 0.75;
+
+    /**
+     * Extra weight of a word pair over a single word
+     */
+    static BIGRAM_WEIGHT = 1.5;
+
+    /**
+     * @param {LanguageRegistry} registry - Language data with intent training phrases
+     */
+    constructor(registry) {
+        this.registry = registry;
+
+        // Trained models by language code (built on first use)
+        this.models = {};
+
+        this.log('Intent Classifier initialized');
+    }
+
+    /**
+     * Find the intent of an utterance
+     * @param {string} input - What the learner said
+     * @param {string} lang - Language of the utterance
+     * @returns {Object|null} { name, score }, or null if no intent is clear enough
+     */
+    classify(input, lang) {
+        const model = this.getModel(lang);
+        const inputFeatures = new Set(this.getFeatures(input));
+        if (inputFeatures.size === 0) return null;
+
+        let best = null;
+
+        model.phrases.forEach(({ intent, features }) => {
+            let total = 0;
+            let matched = 0;
+
+            features.forEach(feature => {
+                const weight = model.weights[feature];
+                total += weight;
+                if (inputFeatures.has(feature)) {
+                    matched += weight;
+                }
+            });
+
+            const score = total > 0 ? matched / total : 0;
+
+            // Ties go to the phrase that covers more of the input
+            if (!best || score > best.score || (score === best.score && matched > best.matched)) {
+                best = { name: intent, score, matched };
+            }
+        });
+
+        if (!best || best.score < IntentClassifier.MIN_SCORE) {
+            return null;
+        }
+
+        this.log(`"${input}" → ${best.name} (${best.score.toFixed(2)})`);
+        return { name: best.name, score: best.score };
+    }
+
+    /**
+     * Get (and build on first use) the model for a language
+     * @param {string} lang - Language code
+     * @returns {Object} { phrases: [{ intent, features }], weights: { feature: weight } }
+     */
+    getModel(lang) {
+        if (!this.models[lang]) {
+            this.models[lang] = this.train(this.registry.getIntentPhrases(lang));
+        }
+        return this.models[lang];
+    }
+
+    /**
+     * Build a model from training phrases
+     * @param {Object} intents - Training phrases by intent name
+     * @returns {Object} Model
+     */
+    train(intents) {
+        const phrases = [];
+        const intentsByFeature = {};
+
+        Object.entries(intents).forEach(([intent, examples]) => {
+            examples.forEach(example => {
+                const features = this.getFeatures(example);
+                phrases.push({ intent, features });
+
+                features.forEach(feature => {
+                    intentsByFeature[feature] = intentsByFeature[feature] || new Set();
+                    intentsByFeature[feature].add(intent);
+                });
+            });
+        });
+
+        // Inverse intent frequency: a feature of one intent out of many weighs most
+        const intentCount = Object.keys(intents).length;
+        const weights = {};
+        Object.entries(intentsByFeature).forEach(([feature, owners]) => {
+            const base = Math.log(1 + intentCount / owners.size);
+            weights[feature] = feature.includes(' ') ? base * IntentClassifier.BIGRAM_WEIGHT : base;
+        });
+
+        return { phrases, weights };
+    }
+
+    /**
+     * Break text into words and word pairs
+     * Accents, case and punctuation are ignored
+     * @param {string} text - Text
+     * @returns {Array} Features
+     */
+    getFeatures(text) {
+        const words = text
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(Boolean);
+
+        const features = [...words];
+        for (let i = 0; i < words.length - 1; i++) {
+            features.push(`${words[i]} ${words[i + 1]}`);
+        }
+
+        return [...new Set(features)];
+    }
+
+    /**
+     * Log intent classifier information
+     * @param {string} message - Message to log
+     * @param {string} level - Log level
+     */
+    log(message, level = 'info') {
+        const prefix = '[IntentClassifier]';
+        const timestamp = new Date().toLocaleTimeString();
+
+        switch (level) {
+            case 'error':
+                console.error(`${prefix} ${timestamp} - ${message}`);
+                break;
+            case 'warn':
+                console.warn(`${prefix} ${timestamp} - ${message}`);
+                break;
+            default:
+                console.log(`${prefix} ${timestamp} - ${message}`);
+        }
+    }
+}
+
+// Export for use in other modules
+window.IntentClassifier = IntentClassifier;
@@ -5,7 +5,9 @@
  * Intelligent language tutor that analyzes, corrects, and teaches
  * 
  * Responsibilities:
- * - Analyze user input for grammar and vocabulary
+ * - Analyze user input for grammar and vocabulary (see GrammarChecker)
+ * - Recognize what the learner is asking for (see IntentClassifier)
+ * - Remember names, numbers, places and times from templated phrases (see SlotExtractor)
  * - Provide corrections in a teaching manner
  * - Give simple explanations of mistakes
  * - Encourage the learner
@@ -19,9 +21,18 @@
  */
 
 class LanguageEngine {
-    constructor() {
-        // Load language data from HTML
-        this.translations = this.loadTranslations();
+    /**
+     * @param {LanguageRegistry} registry - Language data (read from HTML if omitted)
+     */
+    constructor(registry = null) {
+        // Language data: names, patterns, encouragements, messages, grammar
+        this.registry = registry || new LanguageRegistry();
+        this.grammarChecker = new GrammarChecker(this.registry);
+        this.intentClassifier = new IntentClassifier(this.registry);
+        this.slotExtractor = new SlotExtractor(this);
+
+        // Writes the tutor's replies (see TutorBackend); the rules below by default
+        this.backend = new RuleTutorBackend(this);
         
         // Current languages
         this.nativeLanguage = 'en';
@@ -30,89 +41,68 @@ class LanguageEngine {
         // Conversation context
         this.conversationHistory = [];
         this.currentTopic = null;
+
+        // What the learner told about themselves this session ({ name: "Amina" })
+        this.slots = {};
         
-        // Common patterns for basic language learning
-        this.initializePatterns();
+        // Similarity scoring: component weights (sum to 1) and default
+        // thresholds, which a lesson can override with its own "thresholds"
+        this.similarityWeights = {
+            exact: 0.1,      // Character distance with accents kept
+            characters: 0.3, // Character distance after accent/punctuation folding
+            words: 0.3,      // Word-by-word alignment
+            phonetic: 0.3    // Character distance after phonetic folding
+        };
+        this.defaultThresholds = {
+            pass: 0.8,
+            partial: 0.5
+        };
+
+        // Recognizer confidence only settles scores just below the pass
+        // threshold; it never passes an attempt on its own
+        this.confidenceTieBreak = {
+            margin: 0.05,       // How far below "pass" a score may be
+            minConfidence: 0.85 // Recognizer confidence needed to round it up
+        };
         
         this.log('Language Engine initialized');
     }
 
     /**
-     * Load translation data from HTML script tag
+     * Get the tutor's reply from the current backend
+     * @param {string} userInput - What the user said
+     * @param {Object} context - Current lesson context
+     * @param {number|null} confidence - Recognizer confidence (optional tie-breaker)
+     * @returns {Promise<Object>} Teaching response (see analyzeAndRespond)
      */
-    loadTranslations() {
-        const dataElement = document.getElementById('translations-data');
-        if (dataElement) {
-            return JSON.parse(dataElement.textContent);
-        }
-        return {};
+    async respond(userInput, context = {}, confidence = null) {
+        return this.backend.respond({
+            transcript: userInput,
+            context,
+            history: [...this.conversationHistory],
+            confidence,
+            languages: { native: this.nativeLanguage, learning: this.learningLanguage }
+        });
     }
 
     /**
-     * Initialize common language patterns for analysis
+     * Set the backend that writes the tutor's replies
+     * @param {TutorBackend} backend - Tutor backend
      */
-    initializePatterns() {
-        // Greeting patterns
-        this.greetingPatterns = {
-            en: ['hello', 'hi', 'hey', 'good morning', 'good evening', 'goodbye', 'bye'],
-            es: ['hola', 'buenos días', 'buenas tardes', 'buenas noches', 'adiós', 'hasta luego'],
-            de: ['hallo', 'guten morgen', 'guten tag', 'guten abend', 'auf wiedersehen', 'tschüss'],
-            fr: ['bonjour', 'salut', 'bonsoir', 'au revoir', 'à bientôt']
-        };
-
-        // Introduction patterns
-        this.introPatterns = {
-            en: ['my name is', 'i am', "i'm", 'what is your name', 'how are you'],
-            es: ['me llamo', 'soy', 'cómo te llamas', 'cómo estás', 'qué tal'],
-            de: ['ich heiße', 'ich bin', 'wie heißt du', 'wie geht es dir'],
-            fr: ["je m'appelle", 'je suis', 'comment tu t\'appelles', 'comment ça va']
-        };
-
-        // Encouragement phrases in different languages
-        this.encouragements = {
-            en: [
-                'Great job!',
-                'Well done!',
-                'Excellent!',
-                'You\'re doing great!',
-                'Perfect!',
-                'Nice work!',
-                'Keep it up!'
-            ],
-            es: [
-                '¡Muy bien!',
-                '¡Excelente!',
-                '¡Perfecto!',
-                '¡Buen trabajo!',
-                '¡Genial!',
-                '¡Sigue así!'
-            ],
-            de: [
-                'Sehr gut!',
-                'Ausgezeichnet!',
-                'Perfekt!',
-                'Gut gemacht!',
-                'Prima!',
-                'Weiter so!'
-            ],
-            fr: [
-                'Très bien!',
-                'Excellent!',
-                'Parfait!',
-                'Bien joué!',
-                'Génial!',
-                'Continue comme ça!'
-            ]
-        };
+    setBackend(backend) {
+        this.backend = backend;
+        this.log(`Tutor backend: ${backend.name}`);
     }
 
     /**
      * Main method: Analyze user input and generate teaching response
+     * (the rule-based tutor; see RuleTutorBackend)
      * @param {string} userInput - What the user said
      * @param {Object} context - Current lesson context
-     * @returns {Object} Teaching response
+     * @param {number|null} confidence - Recognizer confidence (optional tie-breaker)
+     * @returns {Object} Teaching response, with a grade ({ score, matchedPhrase, passed, reason })
      */
-    analyzeAndRespond(userInput, context = {}) {
+    analyzeAndRespond(userInput, context = {}, confidence = null) {
         this.log(`Analyzing: "${userInput}"`);
 
         // Normalize input
@@ -129,73 +119,269 @@ class LanguageEngine {
 
         // Check if this matches expected lesson content
         if (context.expectedPhrases && context.expectedPhrases.length > 0) {
-            response = this.checkAgainstExpected(normalized, context.expectedPhrases);
+            response = this.checkAgainstExpected(
+                normalized,
+                context.expectedPhrases,
+                context.thresholds,
+                confidence
+            );
         } else {
             // General conversation analysis
             response = this.generalAnalysis(normalized);
         }
 
-        // Generate next practice prompt
-        response.nextPrompt = this.generateNextPrompt(context);
+        // Add grammar findings to the correction and explanation
+        this.applyGrammarCheck(normalized, response);
+
+        // Generate next practice prompt (a recognized intent brings its own)
+        if (!response.nextPrompt) {
+            response.nextPrompt = this.generateNextPrompt(context, response.slots || {});
+            response.languages.nextPrompt = context.prompts && context.prompts.length > 0
+                ? context.promptLanguage
+                : this.nativeLanguage;
+        }
+
+        // In a role-play the character's next line is the prompt
+        if (context.scenario) {
+            this.applyScenario(response, context);
+        }
 
         return response;
     }
 
+    /**
+     * Pick the scenario branch the learner took and reply with the character's next line
+     * A branch is taken when the attempt matched one of its phrases, near
+     * misses included: the intent counts, not the exact wording. Without a
+     * phrase match, a branch named after the recognized intent is taken. Each
+     * step is noted on the latest history entry, so the history holds the path taken.
+     * @param {Object} response - Graded response (updated in place)
+     * @param {Object} context - Lesson context with a scenario
+     */
+    applyScenario(response, context) {
+        const { scenario } = context;
+        const { matchedPhrase } = response.grade || {};
+        const branches = scenario.nodes[scenario.node].branches || [];
+
+        let branch = matchedPhrase
+            ? branches.find(candidate => candidate.phrases.includes(matchedPhrase.text))
+            : null;
+
+        if (!branch && response.intent) {
+            branch = branches.find(candidate => candidate.intent === response.intent.name);
+        }
+
+        response.scenario = {
+            node: scenario.node,
+            intent: branch ? branch.intent : null,
+            next: branch ? branch.next : scenario.node
+        };
+        response.nextPrompt = this.getScenarioLine(scenario, response.scenario.next);
+        response.languages.nextPrompt = this.learningLanguage;
+
+        const entry = this.conversationHistory[this.conversationHistory.length - 1];
+        if (entry) {
+            entry.scenario = { lesson: context.lessonKey, ...response.scenario };
+        }
+    }
+
+    /**
+     * Get a character line of a scenario in the learning language
+     * @param {Object} scenario - Scenario context
+     * @param {string} node - Node key (defaults to the current node)
+     * @returns {string} Character line
+     */
+    getScenarioLine(scenario, node = scenario.node) {
+        const { say } = scenario.nodes[node];
+        return say[this.learningLanguage] || say.text;
+    }
+
     /**
      * Check user input against expected phrases from lesson
      * @param {string} input - User input
      * @param {Array} expectedPhrases - Expected phrase objects
+     * @param {Object} thresholds - Lesson overrides for { pass, partial } (optional)
+     * @param {number|null} confidence - Recognizer confidence (optional)
      * @returns {Object} Response object
      */
-    checkAgainstExpected(input, expectedPhrases) {
+    checkAgainstExpected(input, expectedPhrases, thresholds = null, confidence = null) {
+        const limits = { ...this.defaultThresholds, ...thresholds };
         const response = {
             correction: null,
             explanation: null,
             encouragement: null,
+            diff: null,
+            grade: null,
+            intent: null,
+            slots: null,
+            // Language each text is written in (see getResponseParts())
+            languages: {
+                correction: this.learningLanguage,
+                explanation: this.nativeLanguage,
+                encouragement: null,
+                nextPrompt: null
+            },
             type: 'practice'
         };
 
         // Find the closest match
         let bestMatch = null;
         let bestSimilarity = 0;
+        let bestSlots = {};
 
         expectedPhrases.forEach(phrase => {
-            const targetText = phrase[this.learningLanguage].toLowerCase();
-            const similarity = this.calculateSimilarity(input, targetText);
+            const { similarity, slots } = this.scorePhrase(input, phrase[this.learningLanguage]);
             
             if (similarity > bestSimilarity) {
                 bestSimilarity = similarity;
                 bestMatch = phrase;
+                bestSlots = slots;
             }
         });
 
-        // If very close match (>80% similar)
-        if (bestSimilarity > 0.8) {
-            response.correction = bestMatch[this.learningLanguage];
-            response.explanation = `Perfect! That's how you say "${bestMatch.text}" in ${this.getLanguageName(this.learningLanguage)}.`;
-            response.encouragement = this.getRandomEncouragement();
+        const grade = this.gradeAttempt(bestSimilarity, bestMatch, limits, confidence);
+        response.grade = grade;
+
+        // Remember what the learner filled into a templated phrase
+        if (grade.matchedPhrase && Object.keys(bestSlots).length > 0) {
+            response.slots = bestSlots;
+            Object.assign(this.slots, bestSlots);
+            this.log(`Slots: ${JSON.stringify(bestSlots)}`);
+        }
+
+        // Passed (above the pass threshold, or settled by confidence)
+        if (grade.passed) {
+            response.correction = this.fillSlots(bestMatch[this.learningLanguage]);
+            response.explanation = this.getMessage('perfect_match', {
+                meaning: this.fillSlots(this.getPhraseMeaning(bestMatch)),
+                language: this.getLanguageName(this.learningLanguage)
+            });
+            this.encourage(response);
         }
-        // If partial match (50-80% similar)
-        else if (bestSimilarity > 0.5) {
-            response.correction = bestMatch[this.learningLanguage];
-            response.explanation = `Close! You said "${input}", but the correct phrase is "${bestMatch[this.learningLanguage]}". Remember to pay attention to pronunciation.`;
-            response.encouragement = "Don't worry, practice makes perfect!";
+        // Near miss (between partial and pass thresholds)
+        else if (grade.reason === 'near_miss') {
+            response.correction = this.fillSlots(bestMatch[this.learningLanguage]);
+            response.diff = this.diffWords(input, response.correction);
+            response.explanation = this.getMessage('close_match', {
+                input: input,
+                target: response.correction
+            });
+
+            // Name the specific word to fix
+            const tip = this.getDiffTip(response.diff);
+            if (tip) {
+                response.explanation += ' ' + tip;
+            }
+
+            this.encourage(response, 'close_encouragement');
         }
         // No clear match
         else {
+            // Off-script, but the learner may still have said something useful
+            const intent = this.intentClassifier.classify(input, this.learningLanguage);
+
             response.correction = null;
-            response.explanation = `I heard "${input}". That's interesting! Let me help you with the phrase we're practicing.`;
-            response.encouragement = "Let's try again together!";
+            response.intent = intent;
+            response.explanation = intent
+                ? this.getMessage(`intent_${intent.name}`)
+                : this.getMessage('no_match', { input: input });
+            this.encourage(response, 'try_again_encouragement');
             
             if (expectedPhrases.length > 0) {
                 const example = expectedPhrases[0];
-                response.explanation += ` Try saying: "${example[this.learningLanguage]}"`;
+                response.explanation += ' ' + this.getMessage('try_saying', {
+                    target: this.fillSlots(example[this.learningLanguage])
+                });
             }
         }
 
         return response;
     }
 
+    /**
+     * Score an attempt against one lesson phrase
+     * In a templated phrase only the words outside its slots are compared
+     * @param {string} input - User input
+     * @param {string} target - Phrase in the learning language
+     * @returns {Object} { similarity, slots } (slot values by name, empty without slots)
+     */
+    scorePhrase(input, target) {
+        if (!this.slotExtractor.hasSlots(target)) {
+            return { similarity: this.calculateSimilarity(input, target.toLowerCase()), slots: {} };
+        }
+
+        const { said, expected, slots } = this.slotExtractor.match(input, target);
+        return { similarity: this.calculateSimilarity(said, expected), slots };
+    }
+
+    /**
+     * Fill a templated text with what the learner told us
+     * @param {string} text - Text with slots like {name}
+     * @param {Object} values - Slot values (defaults to the session's)
+     * @returns {string} Filled text ("…" for unknown slots)
+     */
+    fillSlots(text, values = this.slots) {
+        return this.slotExtractor.fill(text, values);
+    }
+
+    /**
+     * Grade an attempt against its closest lesson phrase
+     * @param {number} score - Similarity to the closest phrase (0-1)
+     * @param {Object|null} phrase - Closest phrase
+     * @param {Object} thresholds - { pass, partial }
+     * @param {number|null} confidence - Recognizer confidence (optional)
+     * @returns {Object} { score, matchedPhrase, passed, reason }
+     */
+    gradeAttempt(score, phrase, thresholds, confidence = null) {
+        const { pass, partial } = thresholds;
+        const { margin, minConfidence } = this.confidenceTieBreak;
+        const grade = {
+            score,
+            matchedPhrase: score > partial ? phrase : null,
+            passed: false,
+            reason: 'no_match'
+        };
+
+        if (score > pass) {
+            grade.passed = true;
+            grade.reason = 'match';
+        } else if (score > partial) {
+            // A confident recognizer settles a score right at the line
+            const tieBreak = typeof confidence === 'number' &&
+                confidence >= minConfidence &&
+                score > pass - margin;
+
+            grade.passed = tieBreak;
+            grade.reason = tieBreak ? 'confidence_tie_break' : 'near_miss';
+        }
+
+        return grade;
+    }
+
+    /**
+     * Run the grammar checker and merge its findings into a response
+     * The lesson correction is kept when there is one; otherwise the
+     * corrected sentence becomes the correction
+     * @param {string} input - User input
+     * @param {Object} response - Response object (modified in place)
+     */
+    applyGrammarCheck(input, response) {
+        const matchedPhrase = response.grade ? response.grade.matchedPhrase : null;
+        const expected = matchedPhrase ? this.fillSlots(matchedPhrase[this.learningLanguage]) : null;
+        const { issues, corrected } = this.grammarChecker.check(input, this.learningLanguage, expected);
+
+        response.grammar = issues;
+        if (issues.length === 0) return;
+
+        if (!response.correction || response.correction === input) {
+            response.correction = corrected;
+        }
+
+        // Two findings at most, so the spoken answer stays short
+        const notes = issues.slice(0, 2).map(issue => this.getMessage(`grammar_${issue.type}`, issue));
+        response.explanation = [response.explanation, ...notes].filter(Boolean).join(' ');
+    }
+
     /**
      * General analysis when no specific expected phrases
      * @param {string} input - User input
@@ -206,85 +392,392 @@ class LanguageEngine {
             correction: null,
             explanation: null,
             encouragement: null,
+            // Free conversation has no target phrase to grade against
+            grade: { score: null, matchedPhrase: null, passed: false, reason: 'ungraded' },
+            intent: null,
+            // Language each text is written in (see getResponseParts())
+            languages: {
+                correction: this.learningLanguage,
+                explanation: this.nativeLanguage,
+                encouragement: null,
+                nextPrompt: null
+            },
             type: 'conversation'
         };
 
         // Check if it's a greeting
-        const isGreeting = this.greetingPatterns[this.learningLanguage].some(
+        const isGreeting = this.registry.getGreetingPatterns(this.learningLanguage).some(
             pattern => input.includes(pattern)
         );
 
         if (isGreeting) {
             response.correction = input;
-            response.explanation = `Nice! You greeted me in ${this.getLanguageName(this.learningLanguage)}.`;
-            response.encouragement = this.getRandomEncouragement();
+            response.explanation = this.getMessage('greeting_recognized', {
+                language: this.getLanguageName(this.learningLanguage)
+            });
+            this.encourage(response);
             return response;
         }
 
         // Check if it's an introduction
-        const isIntro = this.introPatterns[this.learningLanguage].some(
+        const isIntro = this.registry.getIntroPatterns(this.learningLanguage).some(
             pattern => input.includes(pattern)
         );
 
         if (isIntro) {
             response.correction = input;
-            response.explanation = `Great! You're introducing yourself in ${this.getLanguageName(this.learningLanguage)}.`;
-            response.encouragement = this.getRandomEncouragement();
+            response.explanation = this.getMessage('intro_recognized', {
+                language: this.getLanguageName(this.learningLanguage)
+            });
+            this.encourage(response);
+            return response;
+        }
+
+        // Check for a request, thanks, an apology, ...
+        const intent = this.intentClassifier.classify(input, this.learningLanguage);
+
+        if (intent) {
+            response.intent = intent;
+            response.explanation = this.getMessage(`intent_${intent.name}`);
+            this.encourage(response);
+            response.nextPrompt = this.getMessage(`intent_${intent.name}_prompt`);
+            response.languages.nextPrompt = this.nativeLanguage;
             return response;
         }
 
         // Default response for unrecognized input
-        response.explanation = `I heard you say: "${input}". That's a good attempt!`;
-        response.encouragement = "Keep practicing, and you'll improve quickly!";
+        response.explanation = this.getMessage('general_attempt', { input: input });
+        this.encourage(response, 'general_encouragement');
 
         return response;
     }
 
     /**
      * Generate next practice prompt based on context
+     * Prompts with slots ("Nice to meet you, {name}!") are only used once the
+     * learner has filled those slots, and come first right after they did
      * @param {Object} context - Current lesson context
+     * @param {Object} freshSlots - Slots filled by this attempt
      * @returns {string} Next prompt
      */
-    generateNextPrompt(context) {
+    generateNextPrompt(context, freshSlots = {}) {
         const prompts = context.prompts || [];
         
         if (prompts.length > 0) {
+            const slotsOf = prompt => this.slotExtractor.getSlots(prompt);
+            const usable = prompts.filter(prompt => slotsOf(prompt).every(slot => this.slots[slot]));
+            const fresh = usable.filter(prompt => slotsOf(prompt).some(slot => freshSlots[slot]));
+            const pool = fresh.length > 0 ? fresh : (usable.length > 0 ? usable : prompts);
+
             // Get a random prompt from available prompts
-            const randomIndex = Math.floor(Math.random() * prompts.length);
-            return prompts[randomIndex];
+            const randomIndex = Math.floor(Math.random() * pool.length);
+            return this.fillSlots(pool[randomIndex]);
         }
 
-        // Default prompts based on language
-        const defaultPrompts = {
-            en: "Can you introduce yourself?",
-            es: "Try greeting me in Spanish!",
-            de: "Try saying hello in German!",
-            fr: "Try greeting me in French!"
+        // Default prompt, written in the learner's native language
+        if (this.learningLanguage) {
+            return this.getMessage('default_prompt', {
+                language: this.getLanguageName(this.learningLanguage)
+            });
+        }
+
+        return this.getMessage('fallback_prompt');
+    }
+
+    /**
+     * Calculate similarity between two strings
+     * Weighted blend of character edit distance (with and without accents),
+     * word alignment and phonetic edit distance - see similarityWeights
+     * @param {string} str1 - First string (what the learner said)
+     * @param {string} str2 - Second string (expected phrase)
+     * @param {string} lang - Language for phonetic rules (defaults to learning language)
+     * @returns {number} Similarity score (0-1)
+     */
+    calculateSimilarity(str1, str2, lang = this.learningLanguage) {
+        const folded1 = this.foldText(str1);
+        const folded2 = this.foldText(str2);
+
+        if (!folded1 || !folded2) return 0;
+
+        const scores = {
+            exact: this.characterSimilarity(
+                str1.toLowerCase().replace(/\s+/g, ' ').trim(),
+                str2.toLowerCase().replace(/\s+/g, ' ').trim()
+            ),
+            characters: this.characterSimilarity(folded1, folded2),
+            words: this.wordAlignmentSimilarity(folded1.split(' '), folded2.split(' ')),
+            phonetic: this.characterSimilarity(
+                this.applyPhoneticRules(folded1, lang),
+                this.applyPhoneticRules(folded2, lang)
+            )
         };
 
-        return defaultPrompts[this.learningLanguage] || "What would you like to practice?";
+        return Object.keys(this.similarityWeights).reduce(
+            (total, key) => total + scores[key] * this.similarityWeights[key],
+            0
+        );
+    }
+
+    /**
+     * Fold text for comparison: lowercase, strip accents and punctuation
+     * (¿ ¡ ' ? etc.) and collapse whitespace
+     * @param {string} text - Raw text
+     * @returns {string} Folded text
+     */
+    foldText(text) {
+        return text
+            .toLowerCase()
+            .replace(/ß/g, 'ss')
+            .normalize('NFD')
+            .replace(/\p{M}/gu, '')
+            .replace(/[^\p{L}\p{N}\s]/gu, '')
+            .replace(/\s+/g, ' ')
+            .trim();
     }
 
     /**
-     * Calculate similarity between two strings (simple Levenshtein-based)
-     * @param {string} str1 - First string
-     * @param {string} str2 - Second string
+     * Apply a language's phonetic equivalences (e.g. Spanish "ll" -> "y")
+     * Rules live in translations-data as [pattern, replacement] pairs
+     * @param {string} folded - Folded text
+     * @param {string} lang - Language code
+     * @returns {string} Phonetically folded text
+     */
+    applyPhoneticRules(folded, lang) {
+        const rules = this.registry.getPhoneticRules(lang);
+
+        return rules.reduce(
+            (text, [pattern, replacement]) => text.replace(new RegExp(pattern, 'g'), replacement),
+            folded
+        );
+    }
+
+    /**
+     * Levenshtein distance between two strings
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Number of single-character edits
+     */
+    levenshteinDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(
+                    previous[j] + 1,        // deletion
+                    current[j - 1] + 1,     // insertion
+                    previous[j - 1] + cost  // substitution
+                );
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * Character similarity from normalized edit distance
+     * @param {string} a - First string
+     * @param {string} b - Second string
      * @returns {number} Similarity score (0-1)
      */
-    calculateSimilarity(str1, str2) {
-        // Simple word-based similarity for demonstration
-        const words1 = str1.split(' ');
-        const words2 = str2.split(' ');
-        
-        let matches = 0;
-        words1.forEach(word => {
-            if (words2.includes(word)) {
-                matches++;
+    characterSimilarity(a, b) {
+        const maxLength = Math.max(a.length, b.length);
+        if (maxLength === 0) return 1;
+
+        return 1 - this.levenshteinDistance(a, b) / maxLength;
+    }
+
+    /**
+     * Word similarity from an optimal alignment of two word lists
+     * Missing or extra words cost 1; a substituted word costs its character
+     * distance, so a misspelled word still earns partial credit
+     * @param {Array} words1 - First word list
+     * @param {Array} words2 - Second word list
+     * @returns {number} Similarity score (0-1)
+     */
+    wordAlignmentSimilarity(words1, words2) {
+        const maxLength = Math.max(words1.length, words2.length);
+        if (maxLength === 0) return 1;
+
+        return 1 - this.alignWords(words1, words2).cost / maxLength;
+    }
+
+    /**
+     * Optimal alignment of two word lists (word-level Levenshtein)
+     * @param {Array} words1 - Words the learner said
+     * @param {Array} words2 - Expected words
+     * @returns {Object} { cost, operations } where each operation is
+     *   { op: 'match'|'substitute'|'extra'|'missing', i, j } with i/j indexes
+     *   into words1/words2 (null when the word is absent on that side)
+     */
+    alignWords(words1, words2) {
+        const rows = words1.length + 1;
+        const cols = words2.length + 1;
+        const table = Array.from({ length: rows }, (_, i) =>
+            Array.from({ length: cols }, (_, j) => (i === 0 ? j : (j === 0 ? i : 0)))
+        );
+
+        for (let i = 1; i < rows; i++) {
+            for (let j = 1; j < cols; j++) {
+                const cost = 1 - this.characterSimilarity(words1[i - 1], words2[j - 1]);
+                table[i][j] = Math.min(
+                    table[i - 1][j] + 1,
+                    table[i][j - 1] + 1,
+                    table[i - 1][j - 1] + cost
+                );
             }
+        }
+
+        // Walk back from the bottom-right corner to recover the operations
+        const operations = [];
+        let i = words1.length;
+        let j = words2.length;
+
+        while (i > 0 || j > 0) {
+            if (i > 0 && j > 0) {
+                const cost = 1 - this.characterSimilarity(words1[i - 1], words2[j - 1]);
+                if (Math.abs(table[i][j] - (table[i - 1][j - 1] + cost)) < 1e-9) {
+                    operations.unshift({ op: cost === 0 ? 'match' : 'substitute', i: i - 1, j: j - 1 });
+                    i--;
+                    j--;
+                    continue;
+                }
+            }
+
+            if (i > 0 && (j === 0 || Math.abs(table[i][j] - (table[i - 1][j] + 1)) < 1e-9)) {
+                operations.unshift({ op: 'extra', i: i - 1, j: null });
+                i--;
+            } else {
+                operations.unshift({ op: 'missing', i: null, j: j - 1 });
+                j--;
+            }
+        }
+
+        return { cost: table[words1.length][words2.length], operations };
+    }
+
+    /**
+     * Build a word-by-word diff between what the learner said and a phrase
+     * Word types:
+     * - match: said correctly
+     * - misspelled: close to the expected word (misheard or mispronounced)
+     * - wrong: a different word in the expected word's place
+     * - missing: expected word not said
+     * - extra: said but not part of the phrase
+     * - moved: said, but in the wrong position (word order)
+     * @param {string} input - What the learner said
+     * @param {string} target - Expected phrase (display form)
+     * @returns {Object} { words, missing, extra, misspelled, moved, hasErrors }
+     */
+    diffWords(input, target) {
+        // Keep accents for display, but drop surrounding punctuation (¿ ? , ...)
+        const toWords = text => text
+            .split(/\s+/)
+            .map(word => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''))
+            .filter(Boolean);
+        const saidWords = toWords(input);
+        const expectedWords = toWords(target);
+        const { operations } = this.alignWords(
+            saidWords.map(word => this.foldText(word)),
+            expectedWords.map(word => this.foldText(word))
+        );
+
+        const words = operations.map(({ op, i, j }) => {
+            const actual = i !== null ? saidWords[i] : null;
+            const expected = j !== null ? expectedWords[j] : null;
+
+            if (op === 'substitute') {
+                const close = this.characterSimilarity(
+                    this.foldText(actual),
+                    this.foldText(expected)
+                ) >= 0.5;
+                return { type: close ? 'misspelled' : 'wrong', expected, actual };
+            }
+
+            return { type: op, expected, actual };
         });
 
-        const maxLength = Math.max(words1.length, words2.length);
-        return maxLength > 0 ? matches / maxLength : 0;
+        // A word that is both missing and extra was said in the wrong place
+        words.forEach(word => {
+            if (word.type !== 'missing') return;
+
+            const extra = words.find(other =>
+                other.type === 'extra' &&
+                this.foldText(other.actual) === this.foldText(word.expected)
+            );
+
+            if (extra) {
+                word.type = 'moved';
+                word.actual = extra.actual;
+                extra.type = 'moved-from';
+            }
+        });
+
+        const diffWords = words.filter(word => word.type !== 'moved-from');
+        diffWords.forEach(word => {
+            word.note = this.getDiffNote(word);
+        });
+
+        const ofType = (...types) => diffWords.filter(word => types.includes(word.type));
+
+        return {
+            words: diffWords,
+            missing: ofType('missing').map(word => word.expected),
+            extra: ofType('extra').map(word => word.actual),
+            misspelled: ofType('misspelled', 'wrong'),
+            moved: ofType('moved').map(word => word.expected),
+            hasErrors: diffWords.some(word => word.type !== 'match')
+        };
+    }
+
+    /**
+     * Localized tooltip for a diff word
+     * @param {Object} word - Diff word
+     * @returns {string|null} Note text
+     */
+    getDiffNote(word) {
+        switch (word.type) {
+            case 'misspelled':
+            case 'wrong':
+                return this.getMessage('diff_you_said', { actual: word.actual });
+            case 'missing':
+                return this.getMessage('diff_missing');
+            case 'extra':
+                return this.getMessage('diff_extra');
+            case 'moved':
+                return this.getMessage('diff_moved');
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Spoken tip naming the first word to fix
+     * @param {Object} diff - Result of diffWords()
+     * @returns {string|null} Tip text
+     */
+    getDiffTip(diff) {
+        const firstError = diff.words.find(word => word.type !== 'match');
+        if (!firstError) return null;
+
+        switch (firstError.type) {
+            case 'misspelled':
+            case 'wrong':
+                return this.getMessage('tip_fix_word', {
+                    expected: firstError.expected,
+                    actual: firstError.actual
+                });
+            case 'missing':
+                return this.getMessage('tip_missing_word', { expected: firstError.expected });
+            case 'extra':
+                return this.getMessage('tip_extra_word', { actual: firstError.actual });
+            case 'moved':
+                return this.getMessage('tip_word_order', { expected: firstError.expected });
+            default:
+                return null;
+        }
     }
 
     /**
@@ -292,24 +785,61 @@ class LanguageEngine {
      * @returns {string} Encouragement phrase
      */
     getRandomEncouragement() {
-        const phrases = this.encouragements[this.learningLanguage] || this.encouragements.en;
+        const phrases = this.registry.getEncouragements(this.learningLanguage);
         const randomIndex = Math.floor(Math.random() * phrases.length);
         return phrases[randomIndex];
     }
 
     /**
-     * Get language name from code
+     * Set a response's encouragement and the language it is written in
+     * @param {Object} response - Response object (modified in place)
+     * @param {string|null} messageKey - Native-language message, or null for
+     *   a random encouragement in the learning language (English if it has none)
+     */
+    encourage(response, messageKey = null) {
+        if (messageKey) {
+            response.encouragement = this.getMessage(messageKey);
+            response.languages.encouragement = this.nativeLanguage;
+            return;
+        }
+
+        const ownPhrases = this.registry.getList(this.learningLanguage, 'encouragements').length > 0;
+        response.encouragement = this.getRandomEncouragement();
+        response.languages.encouragement = ownPhrases ? this.learningLanguage : LanguageRegistry.FALLBACK_LANGUAGE;
+    }
+
+    /**
+     * Get language name from code, written in the display language
      * @param {string} code - Language code
+     * @param {string} displayLang - Language to write the name in (defaults to native)
      * @returns {string} Language name
      */
-    getLanguageName(code) {
-        const names = {
-            en: 'English',
-            es: 'Spanish',
-            de: 'German',
-            fr: 'French'
-        };
-        return names[code] || code;
+    getLanguageName(code, displayLang = this.nativeLanguage) {
+        return this.registry.getName(code, displayLang);
+    }
+
+    /**
+     * Get a localized message from the catalog in translations-data
+     * Falls back to English, then to the key itself
+     * @param {string} key - Message key
+     * @param {Object} params - Values for {placeholder} substitution
+     * @returns {string} Localized message
+     */
+    getMessage(key, params = {}) {
+        return this.registry.getMessage(this.nativeLanguage, key, params);
+    }
+
+    /**
+     * Get the meaning of a lesson phrase in the native language
+     * English glosses live in the phrase's "text" field
+     * @param {Object} phrase - Phrase object
+     * @returns {string} Phrase meaning
+     */
+    getPhraseMeaning(phrase) {
+        if (this.nativeLanguage !== 'en' && phrase[this.nativeLanguage]) {
+            return phrase[this.nativeLanguage];
+        }
+        return phrase.text;
     }
 
     /**
@@ -331,30 +861,26 @@ class LanguageEngine {
     }
 
     /**
-     * Format response for display
+     * Split a response into display and speech parts tagged with their language
+     * Each text's language is set when the response is built (response.languages);
+     * a text without one is taken to be English, the language lessons are authored in
      * @param {Object} response - Response object
-     * @returns {string} Formatted text for display/speech
+     * @returns {Array} Parts as { text, lang, role }
      */
-    formatResponse(response) {
-        let formatted = '';
-
-        if (response.correction) {
-            formatted += response.correction + '. ';
-        }
-
-        if (response.explanation) {
-            formatted += response.explanation + ' ';
-        }
-
-        if (response.encouragement) {
-            formatted += response.encouragement + ' ';
-        }
-
-        if (response.nextPrompt) {
-            formatted += response.nextPrompt;
-        }
+    getResponseParts(response) {
+        const languages = response.languages || {};
+        const part = (field, role) => ({
+            text: response[field],
+            lang: languages[field] || LanguageRegistry.FALLBACK_LANGUAGE,
+            role
+        });
 
-        return formatted.trim();
+        return [
+            part('correction', 'correction'),
+            part('explanation', 'explanation'),
+            part('encouragement', 'encouragement'),
+            part('nextPrompt', 'prompt')
+        ].filter(entry => entry.text);
     }
 
     /**
@@ -366,10 +892,20 @@ class LanguageEngine {
     }
 
     /**
-     * Clear conversation history
+     * Replace conversation history (from a saved snapshot)
+     * @param {Array} history - History array
+     */
+    importHistory(history) {
+        this.conversationHistory = Array.isArray(history) ? history : [];
+        this.log(`Conversation history restored (${this.conversationHistory.length} entries)`);
+    }
+
+    /**
+     * Clear conversation history and remembered slots
      */
     clearHistory() {
         this.conversationHistory = [];
+        this.slots = {};
         this.log('Conversation history cleared');
     }
 
@@ -0,0 +1,269 @@
+/**
+ * ============================================
+ * LANGUAGE REGISTRY
+ * ============================================
+ * Single source of truth for supported languages
+ *
+ * Every language is one entry in translations-data:
+ * {
+ *   "name": "Spanish",                 (English name)
+ *   "locale": "es-ES",                 (BCP-47 speech locale)
+ *   "dir": "ltr",                      (text direction: ltr or rtl)
+ *   "native_only": true,               (optional: offered as a native language only)
+ *   "language_names": { ... },         (names of all languages, written in this one)
+ *   "greeting_patterns": [ ... ],
+ *   "intro_patterns": [ ... ],
+ *   "intents": { "thanks": [ ... ], ... },   (IntentClassifier training phrases)
+ *   "encouragements": [ ... ],
+ *   "messages": { ... },               (UI/tutor message catalog, see getMessage())
+ *   "phonetic_equivalences": [ ... ],
+ *   "grammar_patterns": { ... }
+ * }
+ *
+ * Adding a language means adding an entry; no engine lists codes itself.
+ * A native-only entry needs just names and messages: learners read its
+ * messages and phrase glosses, but lessons are not taught in it.
+ */
+
+class LanguageRegistry {
+    /**
+     * Language used when an entry lacks something (names, messages, encouragements)
+     */
+    static FALLBACK_LANGUAGE = 'en';
+
+    /**
+     * @param {Object} languages - Language entries by code (optional, read from HTML by default)
+     */
+    constructor(languages = null) {
+        this.languages = languages || this.loadLanguages();
+        this.log(`Language Registry initialized (${this.getCodes().join(', ')})`);
+    }
+
+    /**
+     * Load language data from HTML script tag
+     * @returns {Object} Language entries by code
+     */
+    loadLanguages() {
+        const dataElement = document.getElementById('translations-data');
+        if (dataElement) {
+            return JSON.parse(dataElement.textContent);
+        }
+        return {};
+    }
+
+    /**
+     * Get all language codes, in data order
+     * @returns {Array} Language codes
+     */
+    getCodes() {
+        return Object.keys(this.languages);
+    }
+
+    /**
+     * Get codes learners can pick as their native language
+     * @returns {Array} Language codes
+     */
+    getNativeCodes() {
+        return this.getCodes();
+    }
+
+    /**
+     * Get codes lessons are taught in (native-only entries excluded)
+     * @returns {Array} Language codes
+     */
+    getLearningCodes() {
+        return this.getCodes().filter(code => !this.isNativeOnly(code));
+    }
+
+    /**
+     * Check if a language is offered as a native language only
+     * @param {string} code - Language code
+     * @returns {boolean} True if lessons are not taught in it
+     */
+    isNativeOnly(code) {
+        const language = this.get(code);
+        return Boolean(language && language.native_only);
+    }
+
+    /**
+     * Check if a language is registered
+     * @param {string} code - Language code
+     * @returns {boolean} True if registered
+     */
+    has(code) {
+        return Object.prototype.hasOwnProperty.call(this.languages, code);
+    }
+
+    /**
+     * Get a language entry
+     * @param {string} code - Language code
+     * @returns {Object|null} Language entry
+     */
+    get(code) {
+        return this.has(code) ? this.languages[code] : null;
+    }
+
+    /**
+     * Get a language name, written in the display language
+     * @param {string} code - Language code
+     * @param {string} displayLang - Language to write the name in (default English)
+     * @returns {string} Language name
+     */
+    getName(code, displayLang = LanguageRegistry.FALLBACK_LANGUAGE) {
+        const display = this.get(displayLang) || this.get(LanguageRegistry.FALLBACK_LANGUAGE) || {};
+        if (display.language_names && display.language_names[code]) {
+            return display.language_names[code];
+        }
+
+        const language = this.get(code);
+        return language && language.name ? language.name : code;
+    }
+
+    /**
+     * Get the BCP-47 speech locale (e.g. "es-ES")
+     * @param {string} code - Language code
+     * @returns {string} Locale
+     */
+    getLocale(code) {
+        const language = this.get(code);
+        return language && language.locale ? language.locale : code;
+    }
+
+    /**
+     * Get the text direction
+     * @param {string} code - Language code
+     * @returns {string} 'ltr' or 'rtl'
+     */
+    getDirection(code) {
+        const language = this.get(code);
+        return language && language.dir === 'rtl' ? 'rtl' : 'ltr';
+    }
+
+    /**
+     * Get phrases that mark a greeting
+     * @param {string} code - Language code
+     * @returns {Array} Lowercase patterns
+     */
+    getGreetingPatterns(code) {
+        return this.getList(code, 'greeting_patterns');
+    }
+
+    /**
+     * Get phrases that mark an introduction
+     * @param {string} code - Language code
+     * @returns {Array} Lowercase patterns
+     */
+    getIntroPatterns(code) {
+        return this.getList(code, 'intro_patterns');
+    }
+
+    /**
+     * Get intent training phrases
+     * @param {string} code - Language code
+     * @returns {Object} Phrases by intent name (empty if the language has none)
+     */
+    getIntentPhrases(code) {
+        const language = this.get(code);
+        return language && language.intents ? language.intents : {};
+    }
+
+    /**
+     * Get encouragement phrases, falling back to English
+     * @param {string} code - Language code
+     * @returns {Array} Encouragements
+     */
+    getEncouragements(code) {
+        const phrases = this.getList(code, 'encouragements');
+        return phrases.length > 0
+            ? phrases
+            : this.getList(LanguageRegistry.FALLBACK_LANGUAGE, 'encouragements');
+    }
+
+    /**
+     * Get the message catalog
+     * @param {string} code - Language code
+     * @returns {Object|null} Messages by key
+     */
+    getMessages(code) {
+        const language = this.get(code);
+        return language && language.messages ? language.messages : null;
+    }
+
+    /**
+     * Get a message from a language's catalog
+     * Falls back to English, then to the key itself
+     * @param {string} code - Language code
+     * @param {string} key - Message key
+     * @param {Object} params - Values for {placeholder} substitution
+     * @returns {string} Localized message
+     */
+    getMessage(code, key, params = {}) {
+        const catalog = this.getMessages(code);
+        const fallback = this.getMessages(LanguageRegistry.FALLBACK_LANGUAGE);
+
+        let template = key;
+        if (catalog && catalog[key]) {
+            template = catalog[key];
+        } else if (fallback && fallback[key]) {
+            template = fallback[key];
+        }
+
+        return template.replace(/\{(\w+)\}/g, (match, name) => {
+            return params[name] !== undefined ? params[name] : match;
+        });
+    }
+
+    /**
+     * Get phonetic equivalences as [pattern, replacement] pairs
+     * @param {string} code - Language code
+     * @returns {Array} Rules
+     */
+    getPhoneticRules(code) {
+        return this.getList(code, 'phonetic_equivalences');
+    }
+
+    /**
+     * Get grammar patterns
+     * @param {string} code - Language code
+     * @returns {Object|null} grammar_patterns
+     */
+    getGrammarPatterns(code) {
+        const language = this.get(code);
+        return language && language.grammar_patterns ? language.grammar_patterns : null;
+    }
+
+    /**
+     * Get a list field of a language entry
+     * @param {string} code - Language code
+     * @param {string} field - Field name
+     * @returns {Array} List (empty if missing)
+     */
+    getList(code, field) {
+        const language = this.get(code);
+        return language && Array.isArray(language[field]) ? language[field] : [];
+    }
+
+    /**
+     * Log language registry information
+     * @param {string} message - Message to log
+     * @param {string} level - Log level
+     */
+    log(message, level = 'info') {
+        const prefix = '[LanguageRegistry]';
+        const timestamp = new Date().toLocaleTimeString();
+
+        switch (level) {
+            case 'error':
+                console.error(`${prefix} ${timestamp} - ${message}`);
+                break;
+            case 'warn':
+                console.warn(`${prefix} ${timestamp} - ${message}`);
+                break;
+            default:
+                console.log(`${prefix} ${timestamp} - ${message}`);
+        }
+    }
+}
+
+// Export for use in other modules
+window.LanguageRegistry = LanguageRegistry;
@@ -0,0 +1,688 @@
+/**
+ * ============================================
+ * LESSON EDITOR
+ * ============================================
+ * Authoring view for teachers to create and edit lessons
+ *
+ * Views:
+ * - List: every loaded lesson, plus import/export of the teacher pack
+ * - Edit: title, icon, intro, phrase translations and prompts
+ *
+ * Edits are collected in a "teacher" lesson pack (see LessonPackLoader).
+ * Saving a lesson validates it, adds it to LessonEngine (replacing a
+ * built-in lesson with the same key) and hands the pack to onSave() so
+ * the app can persist it. Export writes the pack as JSON in the format
+ * LessonEngine.loadLessons() reads; import accepts a pack or a bare
+ * lesson map.
+ *
+ * All teacher-provided text is inserted with textContent, never innerHTML.
+ */
+
+class LessonEditor {
+    /**
+     * Id of the pack teacher edits are saved in
+     */
+    static PACK_ID = 'teacher';
+
+    /**
+     * Icon for new lessons
+     */
+    static DEFAULT_ICON = '📘';
+
+    /**
+     * @param {Object} options
+     * @param {LessonEngine} options.lessonEngine - Lessons to edit
+     * @param {LanguageRegistry} options.languageRegistry - Configured languages
+     * @param {VoiceEngine} options.voiceEngine - Audio preview
+     * @param {StateManager} options.stateManager - Voice state (preview only runs from IDLE)
+     */
+    constructor(options) {
+        this.lessonEngine = options.lessonEngine;
+        this.languageRegistry = options.languageRegistry;
+        this.voiceEngine = options.voiceEngine;
+        this.stateManager = options.stateManager;
+
+        // Every phrase needs a translation for each of these ("text" is English)
+        this.languages = this.languageRegistry.getLearningCodes().filter(code => code !== 'en');
+
+        // Glosses for native-only languages are optional
+        this.glossLanguages = this.languageRegistry.getCodes()
+            .filter(code => code !== 'en' && !this.languages.includes(code));
+
+        // Cache DOM elements
+        this.elements = {
+            overlay: document.getElementById('editorOverlay'),
+            title: document.getElementById('editorTitle'),
+            body: document.getElementById('editorBody')
+        };
+
+        this.pack = this.createPack({});
+
+        // Callback fired with the teacher pack after every change
+        this.onSaveCallback = null;
+
+        this.log('Lesson Editor initialized');
+    }
+
+    /**
+     * Set callback for when the teacher pack changes
+     * @param {Function} callback - Called with the teacher pack
+     */
+    onSave(callback) {
+        this.onSaveCallback = callback;
+    }
+
+    /**
+     * Use a previously saved teacher pack
+     * @param {Object} pack - Valid lesson pack
+     */
+    setPack(pack) {
+        this.pack = this.createPack(this.copy(pack.lessons));
+    }
+
+    /**
+     * Get the teacher pack
+     * @returns {Object} Lesson pack
+     */
+    getPack() {
+        return this.pack;
+    }
+
+    /**
+     * Build a teacher pack around a set of lessons
+     * @param {Object} lessons - Lessons by key
+     * @returns {Object} Lesson pack
+     */
+    createPack(lessons) {
+        return {
+            schemaVersion: LessonPackLoader.SCHEMA_VERSION,
+            manifest: {
+                id: LessonEditor.PACK_ID,
+                name: 'Teacher lessons',
+                version: '1.0.0',
+                languages: [...this.languages]
+            },
+            lessons
+        };
+    }
+
+    /**
+     * Open the editor on the lesson list
+     */
+    open() {
+        this.elements.overlay.classList.remove('hidden');
+        this.showList();
+    }
+
+    /**
+     * Close the editor
+     */
+    close() {
+        this.elements.overlay.classList.add('hidden');
+        this.elements.body.innerHTML = '';
+    }
+
+    /**
+     * Show every loaded lesson with an edit button
+     * @param {string} status - Message to show under the list (optional)
+     * @param {Array} errors - Errors to list (optional)
+     */
+    showList(status = '', errors = []) {
+        this.setView('Lesson editor');
+        const { body } = this.elements;
+
+        const list = document.createElement('div');
+        list.className = 'editor-lesson-list';
+
+        this.lessonEngine.getAllLessonsMetadata().forEach(lesson => {
+            const row = document.createElement('div');
+            row.className = 'editor-lesson-row';
+
+            const icon = document.createElement('span');
+            icon.className = 'editor-lesson-icon';
+            icon.textContent = lesson.icon || LessonEditor.DEFAULT_ICON;
+
+            const title = document.createElement('span');
+            title.className = 'editor-lesson-title';
+            title.textContent = lesson.title;
+
+            const details = document.createElement('span');
+            details.className = 'editor-lesson-details';
+            details.textContent = lesson.pack === LessonEditor.PACK_ID
+                ? `${lesson.phraseCount} phrases · edited`
+                : `${lesson.phraseCount} phrases`;
+
+            row.append(icon, title, details, this.createButton('✏️', 'profile-action', () => {
+                this.showEdit(lesson.key);
+            }, `Edit ${lesson.title}`));
+            list.appendChild(row);
+        });
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'application/json,.json';
+        fileInput.className = 'hidden';
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                this.importFile(fileInput.files[0]);
+            }
+        });
+
+        body.append(list, fileInput);
+
+        if (status) {
+            body.appendChild(this.createHint(status));
+        }
+        if (errors.length > 0) {
+            body.appendChild(this.createErrorList(errors));
+        }
+
+        body.appendChild(this.createFooter([
+            this.createButton('Import', 'profile-btn secondary', () => fileInput.click()),
+            this.createButton('Export', 'profile-btn secondary', () => this.exportPack()),
+            this.createButton('New lesson', 'profile-btn secondary', () => this.showEdit(null)),
+            this.createButton('Done', 'profile-btn primary', () => this.close())
+        ]));
+    }
+
+    /**
+     * Show the edit form for a lesson
+     * @param {string|null} lessonKey - Lesson to edit, or null for a new lesson
+     */
+    showEdit(lessonKey) {
+        const source = lessonKey
+            ? this.pack.lessons[lessonKey] || this.lessonEngine.getLesson(lessonKey)
+            : null;
+
+        const draft = source ? this.copy(source) : {
+            title: '',
+            icon: LessonEditor.DEFAULT_ICON,
+            intro: '',
+            phrases: [],
+            prompts: []
+        };
+        delete draft.pack;
+
+        if (draft.phrases.length === 0) {
+            draft.phrases.push(this.createPhrase());
+        }
+
+        this.renderEdit(lessonKey, draft, []);
+    }
+
+    /**
+     * Render the edit form
+     * @param {string|null} lessonKey - Lesson key (null until a new lesson is saved)
+     * @param {Object} draft - Lesson being edited (inputs write into it)
+     * @param {Array} errors - Validation errors to show
+     */
+    renderEdit(lessonKey, draft, errors) {
+        this.setView(lessonKey ? `Edit ${draft.title}` : 'New lesson');
+        const { body } = this.elements;
+        const showMissing = errors.length > 0;
+
+        const titleRow = document.createElement('div');
+        titleRow.className = 'editor-title-row';
+        titleRow.append(
+            this.createField('Icon', this.createInput(draft.icon, value => { draft.icon = value; }, {
+                maxLength: 8,
+                className: 'profile-input editor-icon-input'
+            })),
+            this.createField('Title', this.createInput(draft.title, value => {
+                draft.title = value;
+                this.dropTranslations(draft, 'title');
+            }, {
+                invalid: showMissing && !draft.title.trim()
+            }))
+        );
+
+        const intro = this.createInput(draft.intro, value => {
+            draft.intro = value;
+            this.dropTranslations(draft, 'intro');
+        }, { multiline: true });
+
+        // One prompt per line
+        const prompts = this.createInput(draft.prompts.join('\n'), value => {
+            draft.prompts = value.split('\n').map(prompt => prompt.trim()).filter(Boolean);
+            this.dropTranslations(draft, 'prompts');
+        }, { multiline: true, placeholder: 'One prompt per line' });
+
+        const phraseList = document.createElement('div');
+        phraseList.className = 'editor-phrase-list';
+        draft.phrases.forEach((phrase, index) => {
+            phraseList.appendChild(this.createPhraseEditor(draft, phrase, index, lessonKey, showMissing));
+        });
+
+        const addPhrase = this.createButton('Add phrase', 'profile-btn secondary', () => {
+            draft.phrases.push(this.createPhrase());
+            this.renderEdit(lessonKey, draft, errors);
+        });
+
+        body.append(
+            titleRow,
+            this.createField('Introduction', intro),
+            this.createField('Phrases', phraseList),
+            addPhrase,
+            this.createField('Prompts', prompts)
+        );
+
+        if (errors.length > 0) {
+            body.appendChild(this.createErrorList(errors));
+        }
+
+        body.appendChild(this.createFooter([
+            this.createButton('Back', 'profile-btn secondary', () => this.showList()),
+            this.createButton('Save lesson', 'profile-btn primary', () => this.saveLesson(lessonKey, draft))
+        ]));
+    }
+
+    /**
+     * Create the editor for one phrase: English text plus one row per language
+     * @param {Object} draft - Lesson being edited
+     * @param {Object} phrase - Phrase being edited
+     * @param {number} index - Phrase index
+     * @param {string|null} lessonKey - Lesson key
+     * @param {boolean} showMissing - Highlight empty translations
+     * @returns {HTMLElement} Phrase editor
+     */
+    createPhraseEditor(draft, phrase, index, lessonKey, showMissing) {
+        const card = document.createElement('div');
+        card.className = 'editor-phrase';
+
+        const header = document.createElement('div');
+        header.className = 'editor-phrase-header';
+        const number = document.createElement('span');
+        number.textContent = `Phrase ${index + 1}`;
+        header.append(number, this.createButton('🗑️', 'profile-action', () => {
+            draft.phrases.splice(index, 1);
+            this.renderEdit(lessonKey, draft, []);
+        }, `Remove phrase ${index + 1}`));
+        card.appendChild(header);
+
+        ['en', ...this.languages, ...this.glossLanguages].forEach(code => {
+            const field = code === 'en' ? 'text' : code;
+            const value = phrase[field] || '';
+            const optional = this.glossLanguages.includes(code);
+
+            const row = document.createElement('div');
+            row.className = 'editor-translation';
+
+            const label = document.createElement('span');
+            label.className = 'editor-translation-label';
+            label.textContent = this.languageRegistry.getName(code);
+
+            const input = this.createInput(value, text => { phrase[field] = text; }, {
+                invalid: !optional && showMissing && !value.trim(),
+                placeholder: optional ? 'Gloss (optional)' : '',
+                className: 'profile-input editor-translation-input'
+            });
+            input.lang = code;
+            input.dir = this.languageRegistry.getDirection(code);
+
+            row.append(label, input);
+
+            // Audio preview needs a voice for the language
+            if (this.voiceEngine.hasVoice(this.languageRegistry.getLocale(code))) {
+                row.appendChild(this.createButton('🔊', 'profile-action', () => {
+                    this.preview(input.value, code);
+                }, `Play ${label.textContent}`));
+            }
+            card.appendChild(row);
+        });
+
+        return card;
+    }
+
+    /**
+     * Validate and save a lesson into the teacher pack
+     * @param {string|null} lessonKey - Lesson key (null for a new lesson)
+     * @param {Object} draft - Edited lesson
+     */
+    async saveLesson(lessonKey, draft) {
+        const lesson = this.cleanLesson(draft);
+        const key = lessonKey || this.createLessonKey(lesson.title);
+        const errors = this.lessonEngine.packLoader.validateLesson(key, lesson, this.languages);
+
+        if (errors.length > 0) {
+            this.renderEdit(lessonKey, draft, errors);
+            return;
+        }
+
+        await this.applyLessons({ [key]: lesson });
+        this.showList(`Saved "${lesson.title}".`);
+    }
+
+    /**
+     * Add lessons to the teacher pack and to the running app
+     * @param {Object} lessons - Valid lessons by key
+     */
+    async applyLessons(lessons) {
+        Object.assign(this.pack.lessons, lessons);
+        this.lessonEngine.addPacks([this.createPack(this.copy(lessons))]);
+
+        if (this.onSaveCallback) {
+            await this.onSaveCallback(this.pack);
+        }
+    }
+
+    /**
+     * Trim a draft, drop empty glosses and drop phrase rows that were left completely empty
+     * @param {Object} draft - Edited lesson
+     * @returns {Object} Lesson ready for validation
+     */
+    cleanLesson(draft) {
+        const lesson = this.copy(draft);
+        const fields = ['text', ...this.languages];
+
+        lesson.title = (lesson.title || '').trim();
+        lesson.icon = (lesson.icon || '').trim() || LessonEditor.DEFAULT_ICON;
+        lesson.intro = (lesson.intro || '').trim();
+        lesson.phrases = lesson.phrases
+            .map(phrase => {
+                const cleaned = { ...phrase };
+                fields.forEach(field => {
+                    cleaned[field] = (phrase[field] || '').trim();
+                });
+                this.glossLanguages.forEach(code => {
+                    const gloss = (phrase[code] || '').trim();
+                    if (gloss) {
+                        cleaned[code] = gloss;
+                    } else {
+                        delete cleaned[code];
+                    }
+                });
+                return cleaned;
+            })
+            .filter(phrase => fields.some(field => phrase[field]));
+
+        return lesson;
+    }
+
+    /**
+     * Drop the translations of a title, intro or prompts the teacher changed
+     * They were written for the old English text
+     * @param {Object} draft - Lesson being edited
+     * @param {string} field - 'title', 'intro' or 'prompts'
+     */
+    dropTranslations(draft, field) {
+        if (!draft.translations) return;
+
+        Object.values(draft.translations).forEach(translation => {
+            delete translation[field];
+        });
+    }
+
+    /**
+     * Create a lesson key from a title that no other lesson uses
+     * @param {string} title - Lesson title
+     * @returns {string} Lesson key
+     */
+    createLessonKey(title) {
+        const base = title
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'lesson';
+
+        let key = base;
+        let suffix = 2;
+        while (this.lessonEngine.getLesson(key) || LessonPackLoader.RESERVED_KEYS.includes(key)) {
+            key = `${base}-${suffix++}`;
+        }
+
+        return key;
+    }
+
+    /**
+     * Speak a phrase in its language
+     * @param {string} text - Phrase text
+     * @param {string} code - Language code
+     */
+    async preview(text, code) {
+        if (!text.trim()) return;
+
+        // Only preview when the tutor is not listening or speaking
+        if (!this.stateManager.is(StateManager.STATES.IDLE)) {
+            this.log('Cannot preview - not in IDLE state', 'warn');
+            return;
+        }
+
+        this.stateManager.transition(StateManager.STATES.PROCESSING);
+
+        try {
+            await this.voiceEngine.speak(text, this.languageRegistry.getLocale(code));
+        } catch (error) {
+            this.log(`Preview error: ${error.message}`, 'error');
+            this.stateManager.reset();
+        }
+    }
+
+    /**
+     * Download the teacher pack as JSON
+     */
+    exportPack() {
+        const json = JSON.stringify(this.pack, null, 4);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.pack.manifest.id}-lessons.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        this.log(`Exported ${Object.keys(this.pack.lessons).length} lesson(s)`);
+    }
+
+    /**
+     * Import lessons from a JSON file (a lesson pack or a bare lesson map)
+     * @param {File} file - Selected file
+     */
+    async importFile(file) {
+        let data;
+
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            this.showList('', [`${file.name} is not valid JSON`]);
+            return;
+        }
+
+        const lessons = data && data.manifest ? data.lessons : data;
+        const errors = this.validateLessons(lessons);
+
+        if (errors.length > 0) {
+            this.showList(`Nothing was imported from ${file.name}.`, errors);
+            return;
+        }
+
+        await this.applyLessons(this.copy(lessons));
+        this.showList(`Imported ${Object.keys(lessons).length} lesson(s) from ${file.name}.`);
+    }
+
+    /**
+     * Validate a lesson map against the configured languages
+     * @param {Object} lessons - Lessons by key
+     * @returns {Array} Error messages
+     */
+    validateLessons(lessons) {
+        const loader = this.lessonEngine.packLoader;
+
+        if (!loader.isObject(lessons) || Object.keys(lessons).length === 0) {
+            return ['The file has no lessons'];
+        }
+
+        const errors = [];
+        Object.entries(lessons).forEach(([key, lesson]) => {
+            errors.push(...loader.validateLesson(key, lesson, this.languages));
+        });
+        return errors;
+    }
+
+    /**
+     * Create an empty phrase with a slot for every language
+     * @returns {Object} Phrase
+     */
+    createPhrase() {
+        const phrase = { text: '' };
+        this.languages.forEach(code => {
+            phrase[code] = '';
+        });
+        return phrase;
+    }
+
+    /**
+     * Create a text input (or textarea) that writes back on every change
+     * @param {string} value - Initial value
+     * @param {Function} onChange - Called with the new value
+     * @param {Object} options - { multiline, placeholder, maxLength, invalid, className }
+     * @returns {HTMLElement} Input element
+     */
+    createInput(value, onChange, options = {}) {
+        const input = document.createElement(options.multiline ? 'textarea' : 'input');
+        if (!options.multiline) {
+            input.type = 'text';
+        }
+        input.className = options.className || 'profile-input';
+        input.value = value || '';
+        if (options.placeholder) {
+            input.placeholder = options.placeholder;
+        }
+        if (options.maxLength) {
+            input.maxLength = options.maxLength;
+        }
+        input.classList.toggle('invalid', Boolean(options.invalid));
+        input.addEventListener('input', () => {
+            input.classList.remove('invalid');
+            onChange(input.value);
+        });
+        return input;
+    }
+
+    /**
+     * Wrap a control with a label
+     * Only single inputs get a <label>; groups of controls get a plain div
+     * @param {string} text - Label text
+     * @param {HTMLElement} control - Control element
+     * @returns {HTMLElement} Field element
+     */
+    createField(text, control) {
+        const field = document.createElement(control.matches('input, textarea') ? 'label' : 'div');
+        field.className = 'editor-field';
+
+        const label = document.createElement('span');
+        label.className = 'editor-field-label';
+        label.textContent = text;
+
+        field.append(label, control);
+        return field;
+    }
+
+    /**
+     * Create a list of validation errors
+     * @param {Array} errors - Error messages
+     * @returns {HTMLElement} List element
+     */
+    createErrorList(errors) {
+        const list = document.createElement('ul');
+        list.className = 'editor-errors';
+        list.setAttribute('role', 'alert');
+
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = error;
+            list.appendChild(item);
+        });
+
+        return list;
+    }
+
+    /**
+     * Create a hint paragraph
+     * @param {string} text - Hint text
+     * @returns {HTMLElement} Paragraph
+     */
+    createHint(text) {
+        const hint = document.createElement('p');
+        hint.className = 'profile-hint';
+        hint.textContent = text;
+        return hint;
+    }
+
+    /**
+     * Create a button
+     * @param {string} text - Button text
+     * @param {string} className - CSS classes
+     * @param {Function} onClick - Click handler
+     * @param {string} ariaLabel - Accessible label (optional)
+     * @returns {HTMLButtonElement} Button element
+     */
+    createButton(text, className, onClick, ariaLabel = null) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.textContent = text;
+        if (ariaLabel) {
+            button.setAttribute('aria-label', ariaLabel);
+        }
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Create a row of footer buttons
+     * @param {Array} buttons - Button elements
+     * @returns {HTMLElement} Footer element
+     */
+    createFooter(buttons) {
+        const footer = document.createElement('div');
+        footer.className = 'profile-footer';
+        footer.append(...buttons);
+        return footer;
+    }
+
+    /**
+     * Clear the dialog and set its title
+     * @param {string} title - Dialog title
+     */
+    setView(title) {
+        this.elements.title.textContent = title;
+        this.elements.body.innerHTML = '';
+    }
+
+    /**
+     * Deep-copy lesson data so drafts never touch loaded lessons
+     * @param {Object} value - JSON-compatible value
+     * @returns {Object} Copy
+     */
+    copy(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Log lesson editor information
+     * @param {string} message - Message to log
+     * @param {string} level - Log level
+     */
+    log(message, level = 'info') {
+        const prefix = '[LessonEditor]';
+        const timestamp = new Date().toLocaleTimeString();
+
+        switch (level) {
+            case 'error':
+                console.error(`${prefix} ${timestamp} - ${message}`);
+                break;
+            case 'warn':
+                console.warn(`${prefix} ${timestamp} - ${message}`);
+                break;
+            default:
+                console.log(`${prefix} ${timestamp} - ${message}`);
+        }
+    }
+}
+
+// Export for use in other modules
+window.LessonEditor = LessonEditor;
@@ -5,11 +5,16 @@
  * Manages structured lessons and practice sessions
  * 
  * Responsibilities:
- * - Load lesson data from JSON
- * - Track lesson progress
+ * - Load lesson data from JSON (the built-in pack plus lesson packs,
+ *   see LessonPackLoader)
+ * - Track lesson progress (per-phrase mastery, per language pair)
  * - Provide phrases for practice
  * - Generate contextual prompts
  * - Manage lesson flow
+ * - Schedule phrase reviews (see ReviewScheduler)
+ * - Track role-play scenarios (lessons with a "scenario" script)
+ * - Show lesson titles, intros and prompts in the native language
+ *   (a lesson's "translations", see LessonPackLoader)
  * 
  * Lesson Categories:
  * - Greetings
@@ -17,33 +22,135 @@
  * - Daily Conversation
  * - Workplace
  * - Emergency Phrases
+ * - Review (virtual lesson built from phrases due for review)
  */
 
 class LessonEngine {
-    constructor() {
-        // Load lessons from HTML
+    /**
+     * Key of the virtual review lesson
+     */
+    static REVIEW_KEY = 'review';
+
+    /**
+     * Maximum phrases in one review session
+     */
+    static REVIEW_SIZE = 10;
+
+    /**
+     * Default mastery rule: a phrase is mastered after this many successful
+     * attempts in a row. A lesson can override it with its own "mastery".
+     */
+    static DEFAULT_MASTERY = { streak: 2 };
+
+    /**
+     * @param {LanguageRegistry} registry - Messages for the review lesson (read from HTML if omitted)
+     */
+    constructor(registry = null) {
+        this.registry = registry || new LanguageRegistry();
+
+        // Language lesson texts are shown in (see setLanguagePair())
+        this.nativeLanguage = LanguageRegistry.FALLBACK_LANGUAGE;
+
+        // Load the built-in lessons from HTML (more packs via loadPacks())
+        this.packLoader = new LessonPackLoader();
+        this.packs = [];
         this.lessons = this.loadLessons();
         
         // Current lesson tracking
         this.currentLesson = 'greetings';
         this.currentPhraseIndex = 0;
         this.practiceAttempts = 0;
+
+        // Current node of the lesson's role-play scenario (null for drills)
+        this.scenarioNode = null;
+        
+        // Progress tracking by language pair, then by lesson
+        // (see getPairProgress())
+        this.pairProgress = {};
         
-        // Progress tracking
-        this.lessonProgress = this.initializeProgress();
+        // Callback fired whenever progress changes (used for persistence)
+        this.onProgressChangeCallback = null;
+
+        // Callback fired when lesson packs add or replace lessons
+        this.onLessonsChangeCallback = null;
+        
+        // Spaced repetition for the current language pair
+        this.reviewScheduler = new ReviewScheduler();
+        this.languagePair = ReviewScheduler.getPairKey('en', 'es');
+        this.reviewLesson = null;
         
         this.log('Lesson Engine initialized');
     }
 
     /**
      * Load lesson data from HTML script tag
+     * The tag holds a lesson pack; a bare lesson map is still accepted.
      */
     loadLessons() {
         const dataElement = document.getElementById('lessons-data');
-        if (dataElement) {
-            return JSON.parse(dataElement.textContent);
-        }
-        return {};
+        if (!dataElement) return {};
+
+        const data = JSON.parse(dataElement.textContent);
+        if (!data.manifest) return data;
+
+        const pack = this.packLoader.parse(data, 'index.html');
+        if (!pack) return {};
+
+        this.packs.push(pack);
+        return this.packLoader.merge([pack]);
+    }
+
+    /**
+     * Load the lesson packs listed in an index file and add their lessons
+     * @param {string} indexUrl - Pack index URL (default lessons/index.json)
+     * @returns {Promise<Array>} Keys of the lessons that were added or replaced
+     */
+    async loadPacks(indexUrl = LessonPackLoader.INDEX_URL) {
+        const packs = await this.packLoader.loadIndex(indexUrl);
+        return this.addPacks(packs);
+    }
+
+    /**
+     * Add already validated packs to the lesson set
+     * Progress for a replaced lesson is kept, with its phrase total updated.
+     * @param {Array} packs - Valid packs
+     * @returns {Array} Keys of the lessons that were added or replaced
+     */
+    addPacks(packs) {
+        if (packs.length === 0) return [];
+
+        this.packs.push(...packs);
+        this.lessons = this.packLoader.merge(packs, this.lessons);
+
+        const lessonKeys = [];
+        packs.forEach(pack => lessonKeys.push(...Object.keys(pack.lessons)));
+
+        Object.values(this.pairProgress).forEach(lessonProgress => {
+            lessonKeys.forEach(lessonKey => {
+                const existing = lessonProgress[lessonKey];
+                lessonProgress[lessonKey] = existing
+                    ? { ...existing, totalPhrases: this.lessons[lessonKey].phrases.length }
+                    : this.createLessonProgress(lessonKey);
+            });
+        });
+
+        this.log(`Added ${packs.length} lesson pack(s): ${lessonKeys.join(', ')}`);
+        this.notifyLessonsChange();
+        return lessonKeys;
+    }
+
+    /**
+     * Get the languages every loaded pack translates its phrases into
+     * Lessons can only be taught in these ("text" is English, so English
+     * counts only if a pack lists it)
+     * @returns {Array|null} Language codes, or null without packs (bare lesson map)
+     */
+    getPackLanguages() {
+        if (this.packs.length === 0) return null;
+
+        return this.packs
+            .map(pack => pack.manifest.languages)
+            .reduce((common, languages) => common.filter(code => languages.includes(code)));
     }
 
     /**
@@ -53,24 +160,52 @@ class LessonEngine {
         const progress = {};
         
         Object.keys(this.lessons).forEach(lessonKey => {
-            progress[lessonKey] = {
-                started: false,
-                completed: false,
-                phrasesCompleted: 0,
-                totalPhrases: this.lessons[lessonKey].phrases.length,
-                lastAccessed: null
-            };
+            progress[lessonKey] = this.createLessonProgress(lessonKey);
         });
 
         return progress;
     }
 
+    /**
+     * Get the lesson progress of the current language pair
+     * Mastery in one learning language says nothing about another, so
+     * each pair has its own (created on first use)
+     * @returns {Object} Progress by lesson key
+     */
+    getPairProgress() {
+        if (!this.pairProgress[this.languagePair]) {
+            this.pairProgress[this.languagePair] = this.initializeProgress();
+        }
+        return this.pairProgress[this.languagePair];
+    }
+
+    /**
+     * Create empty progress for one lesson
+     * phrasesCompleted counts mastered phrases; per-phrase stats live in
+     * "phrases", keyed by the phrase's English text
+     * @param {string} lessonKey - Lesson identifier
+     * @returns {Object} Progress object
+     */
+    createLessonProgress(lessonKey) {
+        return {
+            started: false,
+            completed: false,
+            phrasesCompleted: 0,
+            totalPhrases: this.lessons[lessonKey].phrases.length,
+            lastAccessed: null,
+            phrases: {}
+        };
+    }
+
     /**
      * Get a specific lesson
      * @param {string} lessonKey - Lesson identifier
      * @returns {Object} Lesson data
      */
     getLesson(lessonKey) {
+        if (lessonKey === LessonEngine.REVIEW_KEY) {
+            return this.reviewLesson;
+        }
         return this.lessons[lessonKey] || null;
     }
 
@@ -88,6 +223,10 @@ class LessonEngine {
      * @returns {boolean} True if successful
      */
     switchLesson(lessonKey) {
+        if (lessonKey === LessonEngine.REVIEW_KEY) {
+            return this.startReview();
+        }
+
         if (!this.lessons[lessonKey]) {
             this.log(`Lesson "${lessonKey}" not found`, 'error');
             return false;
@@ -97,11 +236,17 @@ class LessonEngine {
         this.currentPhraseIndex = 0;
         this.practiceAttempts = 0;
 
+        // Scenarios always start from the top
+        const { scenario } = this.lessons[lessonKey];
+        this.scenarioNode = scenario ? scenario.start : null;
+
         // Update progress
-        this.lessonProgress[lessonKey].started = true;
-        this.lessonProgress[lessonKey].lastAccessed = Date.now();
+        const progress = this.getPairProgress()[lessonKey];
+        progress.started = true;
+        progress.lastAccessed = Date.now();
 
         this.log(`Switched to lesson: ${lessonKey}`);
+        this.notifyProgressChange();
         return true;
     }
 
@@ -111,7 +256,49 @@ class LessonEngine {
      */
     getLessonIntro() {
         const lesson = this.getCurrentLesson();
-        return lesson ? lesson.intro : "Welcome! Let's start practicing.";
+        return lesson ? this.getLessonText(lesson, 'intro') : this.getMessage('lesson_welcome');
+    }
+
+    /**
+     * Get the language the current lesson's intro is written in
+     * @returns {string} Language code
+     */
+    getLessonIntroLanguage() {
+        const lesson = this.getCurrentLesson();
+        return lesson ? this.getLessonTextLanguage(lesson, 'intro') : this.nativeLanguage;
+    }
+
+    /**
+     * Get a lesson's title, intro or prompts in the native language
+     * Falls back to the English text without a translation; translated
+     * prompts are only used if there is one for every English prompt
+     * @param {Object} lesson - Lesson object
+     * @param {string} field - 'title', 'intro' or 'prompts'
+     * @returns {string|Array} Text (a list for prompts)
+     */
+    getLessonText(lesson, field) {
+        const translation = lesson.translations ? lesson.translations[this.nativeLanguage] : null;
+        const text = translation ? translation[field] : null;
+
+        if (field === 'prompts') {
+            return Array.isArray(text) && text.length === lesson.prompts.length ? text : lesson.prompts;
+        }
+        return text || lesson[field];
+    }
+
+    /**
+     * Get the language getLessonText() returns a field in: the native
+     * language if translated, English otherwise (the review lesson is
+     * written straight in its own language)
+     * @param {Object} lesson - Lesson object
+     * @param {string} field - 'title', 'intro' or 'prompts'
+     * @returns {string} Language code
+     */
+    getLessonTextLanguage(lesson, field) {
+        if (lesson.language) return lesson.language;
+
+        const translated = this.getLessonText(lesson, field) !== lesson[field];
+        return translated ? this.nativeLanguage : LanguageRegistry.FALLBACK_LANGUAGE;
     }
 
     /**
@@ -157,7 +344,7 @@ class LessonEngine {
      */
     getLessonPrompts() {
         const lesson = this.getCurrentLesson();
-        return lesson ? lesson.prompts : [];
+        return lesson ? this.getLessonText(lesson, 'prompts') : [];
     }
 
     /**
@@ -166,7 +353,7 @@ class LessonEngine {
      */
     getRandomPrompt() {
         const prompts = this.getLessonPrompts();
-        if (prompts.length === 0) return "What would you like to practice?";
+        if (prompts.length === 0) return this.getMessage('fallback_prompt');
 
         const randomIndex = Math.floor(Math.random() * prompts.length);
         return prompts[randomIndex];
@@ -178,43 +365,315 @@ class LessonEngine {
      */
     getContext() {
         const lesson = this.getCurrentLesson();
+        const scenario = this.getScenarioContext();
         
         return {
             lessonKey: this.currentLesson,
-            lessonTitle: lesson ? lesson.title : '',
-            expectedPhrases: this.getLessonPhrases(),
+            lessonTitle: lesson ? this.getLessonText(lesson, 'title') : '',
+            // In a scenario only the current node's answers are expected
+            expectedPhrases: scenario ? this.getScenarioPhrases(scenario) : this.getLessonPhrases(),
             prompts: this.getLessonPrompts(),
+            promptLanguage: lesson ? this.getLessonTextLanguage(lesson, 'prompts') : null,
+            thresholds: lesson && lesson.thresholds ? lesson.thresholds : null,
             phraseIndex: this.currentPhraseIndex,
-            attempts: this.practiceAttempts
+            attempts: this.practiceAttempts,
+            scenario
         };
     }
 
     /**
-     * Record a practice attempt
-     * @param {boolean} successful - Whether attempt was successful
+     * Get the role-play state of the current lesson
+     * @returns {Object|null} { character, start, node, nodes }, or null outside a scenario
+     */
+    getScenarioContext() {
+        const lesson = this.getCurrentLesson();
+        if (!lesson || !lesson.scenario || !this.scenarioNode) return null;
+
+        const { character, start, nodes } = lesson.scenario;
+        return { character, start, node: this.scenarioNode, nodes };
+    }
+
+    /**
+     * Get the phrases any branch of the current scenario node accepts
+     * @param {Object} scenario - Scenario context
+     * @returns {Array} Phrase objects
+     */
+    getScenarioPhrases(scenario) {
+        const branches = scenario.nodes[scenario.node].branches || [];
+        const texts = branches.reduce((all, branch) => all.concat(branch.phrases), []);
+        return this.getLessonPhrases().filter(phrase => texts.includes(phrase.text));
+    }
+
+    /**
+     * Move the scenario along the branch the learner took
+     * Reaching a node without branches finishes the scenario; the next
+     * round starts over from the first node.
+     * @param {Object} step - Branch taken ({ node, intent, next }, see LanguageEngine.applyScenario())
+     * @returns {Object|null} { node, finished }, or null if the step does not apply
      */
-    recordAttempt(successful) {
+    advanceScenario(step) {
+        const scenario = this.getScenarioContext();
+        if (!scenario || !step || !step.intent || step.node !== scenario.node) return null;
+
+        const next = scenario.nodes[step.next];
+        const finished = !next.branches || next.branches.length === 0;
+        this.scenarioNode = finished ? scenario.start : step.next;
+
+        this.log(`Scenario: ${step.node} → ${step.next} (${step.intent})${finished ? ' - finished' : ''}`);
+        return { node: step.next, finished };
+    }
+
+    /**
+     * Start a review session with phrases due across all lessons
+     * @returns {boolean} True if any phrases were due
+     */
+    startReview() {
+        const phrases = this.reviewScheduler
+            .getDuePhraseIds(this.languagePair, LessonEngine.REVIEW_SIZE)
+            .map(phraseId => this.findPhraseById(phraseId))
+            .filter(Boolean);
+
+        if (phrases.length === 0) {
+            this.log('No phrases due for review');
+            return false;
+        }
+
+        // Written straight in the native language (no translations needed)
+        this.reviewLesson = {
+            language: this.nativeLanguage,
+            title: this.getMessage('review_title'),
+            icon: '🔁',
+            intro: this.getMessage('review_intro', { count: phrases.length }),
+            phrases,
+            prompts: phrases.map(phrase => this.getMessage('review_prompt', {
+                meaning: this.nativeLanguage !== 'en' && phrase[this.nativeLanguage]
+                    ? phrase[this.nativeLanguage]
+                    : phrase.text
+            }))
+        };
+
+        this.currentLesson = LessonEngine.REVIEW_KEY;
+        this.currentPhraseIndex = 0;
+        this.practiceAttempts = 0;
+        this.scenarioNode = null;
+
+        this.log(`Started review with ${phrases.length} phrase(s)`);
+        return true;
+    }
+
+    /**
+     * Check if the review session is active
+     * @returns {boolean} True when reviewing
+     */
+    isReviewing() {
+        return this.currentLesson === LessonEngine.REVIEW_KEY;
+    }
+
+    /**
+     * Set the language pair used for lesson progress and review scheduling
+     * @param {string} native - Native language code
+     * @param {string} learning - Learning language code
+     */
+    setLanguagePair(native, learning) {
+        this.languagePair = ReviewScheduler.getPairKey(native, learning);
+        this.nativeLanguage = native;
+    }
+
+    /**
+     * Count phrases due for review in the current language pair
+     * @returns {number} Due count
+     */
+    getReviewCount() {
+        return this.reviewScheduler.getDueCount(this.languagePair);
+    }
+
+    /**
+     * Get a stable identifier for a phrase ("lessonKey:English text")
+     * @param {Object} phrase - Phrase object from any lesson
+     * @returns {string|null} Phrase id
+     */
+    getPhraseId(phrase) {
+        const lessonKey = this.findPhraseLessonKey(phrase);
+        return lessonKey ? `${lessonKey}:${phrase.text}` : null;
+    }
+
+    /**
+     * Find the lesson a phrase object belongs to
+     * @param {Object} phrase - Phrase object
+     * @returns {string|null} Lesson key
+     */
+    findPhraseLessonKey(phrase) {
+        return Object.keys(this.lessons).find(key =>
+            this.lessons[key].phrases.includes(phrase)
+        ) || null;
+    }
+
+    /**
+     * Find a phrase object by its identifier
+     * @param {string} phraseId - Phrase id
+     * @returns {Object|null} Phrase object
+     */
+    findPhraseById(phraseId) {
+        const separator = phraseId.indexOf(':');
+        const lesson = this.lessons[phraseId.slice(0, separator)];
+        const text = phraseId.slice(separator + 1);
+
+        return lesson ? lesson.phrases.find(phrase => phrase.text === text) || null : null;
+    }
+
+    /**
+     * Record a graded practice attempt
+     * @param {Object} grade - Grade from LanguageEngine.analyzeAndRespond()
+     * @param {number|null} grade.score - Similarity to the matched phrase (0-1)
+     * @param {Object|null} grade.matchedPhrase - Phrase the attempt matched
+     * @param {boolean} grade.passed - Whether the attempt was correct
+     * @param {string} grade.reason - Why it passed or failed
+     */
+    recordAttempt(grade) {
+        const { matchedPhrase, score, passed } = grade || {};
         this.practiceAttempts++;
 
+        // Reschedule the matched phrase
+        if (matchedPhrase && typeof score === 'number') {
+            const phraseId = this.getPhraseId(matchedPhrase);
+            if (phraseId) {
+                this.reviewScheduler.recordReview(this.languagePair, phraseId, score);
+            }
+        }
+
+        // Only attempts that matched a phrase count towards mastery.
+        // In review, the phrase's own lesson gets the credit.
+        if (matchedPhrase) {
+            this.recordPhraseAttempt(matchedPhrase, Boolean(passed), score);
+        }
+
+        this.notifyProgressChange();
+    }
+
+    /**
+     * Update a phrase's mastery stats and its lesson's completion
+     * @param {Object} phrase - Phrase object
+     * @param {boolean} successful - Whether attempt was successful
+     * @param {number} score - Similarity score (0-1, optional)
+     */
+    recordPhraseAttempt(phrase, successful, score) {
+        const lessonKey = this.findPhraseLessonKey(phrase);
+        const progress = lessonKey ? this.getPairProgress()[lessonKey] : null;
+        if (!progress) return;
+
+        const stats = progress.phrases[phrase.text] || {
+            attempts: 0,
+            successes: 0,
+            streak: 0,
+            bestScore: 0,
+            mastered: false
+        };
+
+        stats.attempts++;
         if (successful) {
-            const progress = this.lessonProgress[this.currentLesson];
-            progress.phrasesCompleted++;
+            stats.successes++;
+            stats.streak++;
+        } else {
+            stats.streak = 0;
+        }
+        if (typeof score === 'number') {
+            stats.bestScore = Math.max(stats.bestScore, score);
+        }
 
-            // Check if lesson is completed
-            if (progress.phrasesCompleted >= progress.totalPhrases) {
-                progress.completed = true;
-                this.log(`Lesson "${this.currentLesson}" completed!`);
-            }
+        // Mastery, once earned, is kept
+        const rule = this.getMasteryRule(lessonKey);
+        if (!stats.mastered && stats.streak >= rule.streak) {
+            stats.mastered = true;
+            this.log(`Phrase "${phrase.text}" mastered`);
+        }
+
+        progress.phrases[phrase.text] = stats;
+
+        // Lesson is complete when every phrase is mastered
+        const lessonPhrases = this.lessons[lessonKey].phrases;
+        progress.phrasesCompleted = lessonPhrases.filter(lessonPhrase => {
+            const phraseStats = progress.phrases[lessonPhrase.text];
+            return phraseStats && phraseStats.mastered;
+        }).length;
+
+        if (!progress.completed && progress.phrasesCompleted >= progress.totalPhrases) {
+            progress.completed = true;
+            this.log(`Lesson "${lessonKey}" completed!`);
         }
     }
 
     /**
-     * Get progress for a specific lesson
+     * Get the mastery rule for a lesson
+     * @param {string} lessonKey - Lesson identifier
+     * @returns {Object} Rule ({ streak })
+     */
+    getMasteryRule(lessonKey) {
+        const lesson = this.lessons[lessonKey];
+        return { ...LessonEngine.DEFAULT_MASTERY, ...(lesson && lesson.mastery) };
+    }
+
+    /**
+     * Register callback for progress changes
+     * @param {Function} callback - Called with (exportedProgress)
+     */
+    onProgressChange(callback) {
+        this.onProgressChangeCallback = callback;
+    }
+
+    /**
+     * Notify the registered callback that progress changed
+     */
+    notifyProgressChange() {
+        if (this.onProgressChangeCallback) {
+            this.onProgressChangeCallback(this.exportProgress());
+        }
+    }
+
+    /**
+     * Set callback for when lessons are added or replaced
+     * @param {Function} callback - Called with the lesson metadata list
+     */
+    onLessonsChange(callback) {
+        this.onLessonsChangeCallback = callback;
+    }
+
+    /**
+     * Notify the registered callback that the lesson set changed
+     */
+    notifyLessonsChange() {
+        if (this.onLessonsChangeCallback) {
+            this.onLessonsChangeCallback(this.getAllLessonsMetadata());
+        }
+    }
+
+    /**
+     * Get progress for a specific lesson, with per-phrase status
+     * Phrase status is 'new' (never matched), 'learning' or 'mastered'
      * @param {string} lessonKey - Lesson identifier
      * @returns {Object} Progress object
      */
     getLessonProgress(lessonKey) {
-        return this.lessonProgress[lessonKey] || null;
+        const progress = this.getPairProgress()[lessonKey];
+        if (!progress) return null;
+
+        const phrases = this.lessons[lessonKey].phrases.map(phrase => {
+            const stats = progress.phrases[phrase.text];
+            let status = 'new';
+            if (stats) {
+                status = stats.mastered ? 'mastered' : 'learning';
+            }
+
+            return {
+                text: phrase.text,
+                status,
+                attempts: stats ? stats.attempts : 0,
+                successes: stats ? stats.successes : 0,
+                streak: stats ? stats.streak : 0,
+                bestScore: stats ? stats.bestScore : 0
+            };
+        });
+
+        return { ...progress, phrases };
     }
 
     /**
@@ -226,7 +685,7 @@ class LessonEngine {
         let started = 0;
         let completed = 0;
 
-        Object.values(this.lessonProgress).forEach(progress => {
+        Object.values(this.getPairProgress()).forEach(progress => {
             if (progress.started) started++;
             if (progress.completed) completed++;
         });
@@ -248,7 +707,7 @@ class LessonEngine {
     }
 
     /**
-     * Get lesson metadata (title, icon, etc.)
+     * Get lesson metadata (title, icon, progress, etc.)
      * @param {string} lessonKey - Lesson identifier
      * @returns {Object} Metadata
      */
@@ -256,13 +715,17 @@ class LessonEngine {
         const lesson = this.lessons[lessonKey];
         if (!lesson) return null;
 
+        const progress = this.getPairProgress()[lessonKey];
+
         return {
             key: lessonKey,
-            title: lesson.title,
+            title: this.getLessonText(lesson, 'title'),
             icon: lesson.icon,
+            pack: lesson.pack || null,
             phraseCount: lesson.phrases.length,
-            started: this.lessonProgress[lessonKey].started,
-            completed: this.lessonProgress[lessonKey].completed
+            phrasesCompleted: progress.phrasesCompleted,
+            started: progress.started,
+            completed: progress.completed
         };
     }
 
@@ -279,14 +742,9 @@ class LessonEngine {
      * @param {string} lessonKey - Lesson to reset
      */
     resetLessonProgress(lessonKey) {
-        if (this.lessonProgress[lessonKey]) {
-            this.lessonProgress[lessonKey] = {
-                started: false,
-                completed: false,
-                phrasesCompleted: 0,
-                totalPhrases: this.lessons[lessonKey].phrases.length,
-                lastAccessed: null
-            };
+        const lessonProgress = this.getPairProgress();
+        if (lessonProgress[lessonKey]) {
+            lessonProgress[lessonKey] = this.createLessonProgress(lessonKey);
             this.log(`Progress reset for lesson: ${lessonKey}`);
         }
     }
@@ -295,7 +753,10 @@ class LessonEngine {
      * Reset all progress
      */
     resetAllProgress() {
-        this.lessonProgress = this.initializeProgress();
+        this.pairProgress = {};
+        this.reviewScheduler.importCards({});
+        this.reviewLesson = null;
+        this.currentLesson = 'greetings';
         this.currentPhraseIndex = 0;
         this.practiceAttempts = 0;
         this.log('All progress reset');
@@ -308,26 +769,41 @@ class LessonEngine {
      */
     getWelcomeMessage(lessonKey) {
         const lesson = this.lessons[lessonKey];
-        if (!lesson) return "Let's start practicing!";
+        if (!lesson) return this.getMessage('lesson_welcome');
 
-        return `${lesson.icon} Welcome to ${lesson.title}! ${lesson.intro}`;
+        return `${lesson.icon} ${this.getMessage('lesson_welcome_to', {
+            title: this.getLessonText(lesson, 'title')
+        })} ${this.getLessonText(lesson, 'intro')}`;
     }
 
     /**
-     * Export progress data (for potential saving)
+     * Get a message in the native language
+     * @param {string} key - Message key
+     * @param {Object} params - Values for {placeholder} substitution
+     * @returns {string} Localized message
+     */
+    getMessage(key, params = {}) {
+        return this.registry.getMessage(this.nativeLanguage, key, params);
+    }
+
+    /**
+     * Export progress data (for saving)
      * @returns {Object} Progress data
      */
     exportProgress() {
         return {
             currentLesson: this.currentLesson,
-            lessonProgress: this.lessonProgress,
+            lessonProgress: this.pairProgress,
+            reviewCards: this.reviewScheduler.exportCards(),
             timestamp: Date.now()
         };
     }
 
     /**
-     * Import progress data (for potential loading)
-     * @param {Object} data - Progress data to import
+     * Import progress data (from a saved snapshot)
+     * Saved entries are merged over fresh progress, so lessons added since
+     * the save still get progress and removed lessons are dropped
+     * @param {Object} data - Progress data to import (lessonProgress by language pair)
      */
     importProgress(data) {
         if (data.currentLesson && this.lessons[data.currentLesson]) {
@@ -335,9 +811,28 @@ class LessonEngine {
         }
         
         if (data.lessonProgress) {
-            this.lessonProgress = data.lessonProgress;
+            this.pairProgress = {};
+
+            Object.entries(data.lessonProgress).forEach(([pairKey, savedProgress]) => {
+                const progress = this.initializeProgress();
+
+                Object.keys(progress).forEach(lessonKey => {
+                    const saved = savedProgress[lessonKey];
+                    if (saved) {
+                        progress[lessonKey] = {
+                            ...progress[lessonKey],
+                            ...saved,
+                            totalPhrases: progress[lessonKey].totalPhrases
+                        };
+                    }
+                });
+
+                this.pairProgress[pairKey] = progress;
+            });
         }
 
+        this.reviewScheduler.importCards(data.reviewCards);
+
         this.log('Progress imported');
     }
 
@@ -0,0 +1,503 @@
+/**
+ * ============================================
+ * LESSON PACK LOADER
+ * ============================================
+ * Loads, validates and merges lesson packs
+ *
+ * A lesson pack is a JSON file:
+ * {
+ *   "schemaVersion": 1,
+ *   "manifest": {
+ *     "id": "housing",              (required, lowercase letters, digits, - and _)
+ *     "name": "Housing",            (required)
+ *     "version": "1.0.0",           (required)
+ *     "languages": ["de", "es"],    (required, translations every phrase carries)
+ *     "author": "...",              (optional)
+ *     "description": "..."          (optional)
+ *   },
+ *   "lessons": {
+ *     "<lessonKey>": {
+ *       "title", "icon", "intro",   (metadata; title is required)
+ *       "phrases": [{ "text": "English", "de": "...", "es": "..." }],
+ *                                   (may hold slots: "My name is {name}", see SlotExtractor)
+ *       "prompts": ["..."],
+ *       "translations": {           (optional: title, intro and prompts for learners
+ *         "ar": { "title": "...", "intro": "...", "prompts": ["..."] }
+ *       },                          with another native language; prompts in the same order)
+ *       "thresholds", "mastery",    (optional overrides)
+ *       "scenario": { ... }         (optional role-play script, see below)
+ *     }
+ *   }
+ * }
+ *
+ * A scenario is a branching dialogue the tutor plays as a character:
+ * {
+ *   "character": "Pharmacist",
+ *   "start": "greet",
+ *   "nodes": {
+ *     "greet": {
+ *       "say": { "text": "How can I help you?", "de": "...", "es": "..." },
+ *       "branches": [
+ *         { "intent": "need", "phrases": ["I have a cough"], "next": "advice" }
+ *       ]
+ *     },
+ *     "advice": { "say": { ... } }  (a node without branches ends the scenario)
+ *   }
+ * }
+ * Branch phrases are English texts of the lesson's own phrases; saying any
+ * of them (closely enough) takes that branch. A branch whose intent is an
+ * IntentClassifier intent (help, price, need, ...) is also taken when the
+ * learner says anything with that intent.
+ *
+ * Packs are listed in an index file (lessons/index.json by default):
+ * { "packs": ["housing.json", "school.json"] }
+ *
+ * Invalid packs are skipped with their errors logged; they never replace
+ * lessons that already loaded.
+ */
+
+class LessonPackLoader {
+    /**
+     * Pack schema version this app understands
+     */
+    static SCHEMA_VERSION = 1;
+
+    /**
+     * Default location of the pack index
+     */
+    static INDEX_URL = 'lessons/index.json';
+
+    /**
+     * Allowed pack ids and lesson keys
+     */
+    static KEY_PATTERN = /^[a-z0-9_-]+$/;
+
+    /**
+     * Lesson keys packs may not use
+     */
+    static RESERVED_KEYS = ['review'];
+
+    /**
+     * Fetch every pack listed in an index file
+     * @param {string} indexUrl - URL of the index file
+     * @returns {Promise<Array>} Valid packs, in index order
+     */
+    async loadIndex(indexUrl = LessonPackLoader.INDEX_URL) {
+        let index;
+
+        try {
+            index = await this.fetchJSON(indexUrl);
+        } catch (error) {
+            this.log(`No lesson pack index at "${indexUrl}": ${error.message}`, 'warn');
+            return [];
+        }
+
+        if (!index || !Array.isArray(index.packs)) {
+            this.log(`Lesson pack index "${indexUrl}" has no "packs" list`, 'warn');
+            return [];
+        }
+
+        // Pack paths are relative to the index file
+        const baseUrl = new URL(indexUrl, document.baseURI);
+        const packs = await Promise.all(
+            index.packs.map(path => this.loadPack(new URL(path, baseUrl).href))
+        );
+
+        return packs.filter(Boolean);
+    }
+
+    /**
+     * Fetch and validate one pack
+     * @param {string} url - Pack URL
+     * @returns {Promise<Object|null>} Pack, or null if it cannot be used
+     */
+    async loadPack(url) {
+        try {
+            return this.parse(await this.fetchJSON(url), url);
+        } catch (error) {
+            this.log(`Failed to load lesson pack "${url}": ${error.message}`, 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Fetch a JSON document
+     * @param {string} url - Document URL
+     * @returns {Promise<Object>} Parsed JSON
+     */
+    async fetchJSON(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Validate a parsed pack
+     * @param {Object} pack - Parsed pack JSON
+     * @param {string} source - Where the pack came from (for log messages)
+     * @returns {Object|null} Pack, or null if it is invalid
+     */
+    parse(pack, source = 'pack') {
+        const errors = this.validate(pack);
+
+        if (errors.length > 0) {
+            this.log(`Skipping lesson pack "${source}":\n- ${errors.join('\n- ')}`, 'error');
+            return null;
+        }
+
+        this.log(`Lesson pack "${pack.manifest.id}" v${pack.manifest.version} loaded from ${source}`);
+        return pack;
+    }
+
+    /**
+     * Check a pack against the pack format
+     * @param {Object} pack - Parsed pack JSON
+     * @returns {Array} Error messages (empty if the pack is valid)
+     */
+    validate(pack) {
+        if (!this.isObject(pack)) {
+            return ['pack is not a JSON object'];
+        }
+
+        const errors = [];
+        const { schemaVersion, manifest, lessons } = pack;
+
+        if (typeof schemaVersion !== 'number') {
+            errors.push('schemaVersion is missing');
+        } else if (schemaVersion > LessonPackLoader.SCHEMA_VERSION) {
+            errors.push(`schemaVersion ${schemaVersion} is newer than this app supports (${LessonPackLoader.SCHEMA_VERSION})`);
+        }
+
+        errors.push(...this.validateManifest(manifest));
+
+        if (!this.isObject(lessons) || Object.keys(lessons).length === 0) {
+            errors.push('lessons must be an object with at least one lesson');
+            return errors;
+        }
+
+        const languages = this.isObject(manifest) && Array.isArray(manifest.languages)
+            ? manifest.languages
+            : [];
+
+        Object.entries(lessons).forEach(([lessonKey, lesson]) => {
+            errors.push(...this.validateLesson(lessonKey, lesson, languages));
+        });
+
+        return errors;
+    }
+
+    /**
+     * Check a pack manifest
+     * @param {Object} manifest - Pack manifest
+     * @returns {Array} Error messages
+     */
+    validateManifest(manifest) {
+        if (!this.isObject(manifest)) {
+            return ['manifest is missing'];
+        }
+
+        const errors = [];
+
+        if (!this.isText(manifest.id) || !LessonPackLoader.KEY_PATTERN.test(manifest.id)) {
+            errors.push('manifest.id must use lowercase letters, digits, "-" or "_"');
+        }
+        ['name', 'version'].forEach(field => {
+            if (!this.isText(manifest[field])) {
+                errors.push(`manifest.${field} is missing`);
+            }
+        });
+        if (!Array.isArray(manifest.languages) || manifest.languages.length === 0 ||
+            !manifest.languages.every(code => this.isText(code))) {
+            errors.push('manifest.languages must list at least one language code');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check one lesson
+     * @param {string} lessonKey - Lesson identifier
+     * @param {Object} lesson - Lesson data
+     * @param {Array} languages - Language codes every phrase must carry
+     * @returns {Array} Error messages
+     */
+    validateLesson(lessonKey, lesson, languages) {
+        const path = `lessons.${lessonKey}`;
+
+        if (!LessonPackLoader.KEY_PATTERN.test(lessonKey) || LessonPackLoader.RESERVED_KEYS.includes(lessonKey)) {
+            return [`${path}: "${lessonKey}" is not a valid lesson key`];
+        }
+        if (!this.isObject(lesson)) {
+            return [`${path} is not an object`];
+        }
+
+        const errors = [];
+
+        if (!this.isText(lesson.title)) {
+            errors.push(`${path}.title is missing`);
+        }
+
+        if (!Array.isArray(lesson.phrases) || lesson.phrases.length === 0) {
+            errors.push(`${path}.phrases must list at least one phrase`);
+        } else {
+            // Phrase text identifies the phrase in saved progress, so it must be unique
+            const seen = new Set();
+
+            lesson.phrases.forEach((phrase, index) => {
+                const phrasePath = `${path}.phrases[${index}]`;
+
+                if (!this.isObject(phrase) || !this.isText(phrase.text)) {
+                    errors.push(`${phrasePath}.text is missing`);
+                    return;
+                }
+                if (seen.has(phrase.text)) {
+                    errors.push(`${phrasePath}: "${phrase.text}" appears twice`);
+                }
+                seen.add(phrase.text);
+
+                languages.filter(code => !this.isText(phrase[code])).forEach(code => {
+                    errors.push(`${phrasePath}: missing "${code}" translation`);
+                });
+           
+                errors.push(...this.validateSlots(phrasePath, phrase, languages));
+            });
+        }
+
+        if (!Array.isArray(lesson.prompts) || !lesson.prompts.every(prompt => this.isText(prompt))) {
+            errors.push(`${path}.prompts must be a list of text prompts`);
+        }
+
+        if (lesson.translations !== undefined) {
+            errors.push(...this.validateTranslations(`${path}.translations`, lesson.translations, lesson.prompts));
+        }
+
+        if (lesson.thresholds !== undefined) {
+            const { pass, partial } = lesson.thresholds || {};
+            const inRange = value => typeof value === 'number' && value > 0 && value <= 1;
+            if (!inRange(pass) || !inRange(partial) || partial >= pass) {
+                errors.push(`${path}.thresholds needs 0 < partial < pass <= 1`);
+            }
+        }
+
+        if (lesson.mastery !== undefined) {
+            const streak = lesson.mastery ? lesson.mastery.streak : null;
+            if (!Number.isInteger(streak) || streak < 1) {
+                errors.push(`${path}.mastery.streak must be a whole number of at least 1`);
+            }
+        }
+
+        if (lesson.scenario !== undefined) {
+            const phraseTexts = Array.isArray(lesson.phrases)
+                ? lesson.phrases.filter(phrase => this.isObject(phrase)).map(phrase => phrase.text)
+                : [];
+            errors.push(...this.validateScenario(`${path}.scenario`, lesson.scenario, phraseTexts, languages));
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check the translated titles, intros and prompts of a lesson
+     * Translated prompts are matched to the English ones by position
+     * @param {string} path - Translations path (for error messages)
+     * @param {Object} translations - Texts by native language code
+     * @param {Array} prompts - English prompts
+     * @returns {Array} Error messages
+     */
+    validateTranslations(path, translations, prompts) {
+        if (!this.isObject(translations)) {
+            return [`${path} must be an object of texts by language code`];
+        }
+
+        const errors = [];
+
+        Object.entries(translations).forEach(([code, translation]) => {
+            const translationPath = `${path}.${code}`;
+
+            if (!this.isObject(translation)) {
+                errors.push(`${translationPath} is not an object`);
+                return;
+            }
+            ['title', 'intro'].forEach(field => {
+                if (translation[field] !== undefined && !this.isText(translation[field])) {
+                    errors.push(`${translationPath}.${field} must be text`);
+                }
+            });
+            if (translation.prompts !== undefined) {
+                const count = Array.isArray(prompts) ? prompts.length : 0;
+                if (!Array.isArray(translation.prompts) || !translation.prompts.every(prompt => this.isText(prompt))) {
+                    errors.push(`${translationPath}.prompts must be a list of text prompts`);
+                } else if (translation.prompts.length !== count) {
+                    errors.push(`${translationPath}.prompts needs one prompt for each of the ${count} prompts`);
+                }
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Check the slots of a templated phrase
+     * Every translation must hold the same known slots as the English text
+     * @param {string} path - Phrase path (for error messages)
+     * @param {Object} phrase - Phrase object
+     * @param {Array} languages - Language codes every phrase must carry
+     * @returns {Array} Error messages
+     */
+    validateSlots(path, phrase, languages) {
+        const errors = [];
+        const slotsOf = text => (text.match(/\{(\w+)\}/g) || []).map(slot => slot.slice(1, -1)).sort();
+        const expected = slotsOf(phrase.text);
+
+        expected.filter(slot => !SlotExtractor.SLOT_TYPES.includes(slot)).forEach(slot => {
+            errors.push(`${path}: unknown slot {${slot}} (use ${SlotExtractor.SLOT_TYPES.map(name => `{${name}}`).join(', ')})`);
+        });
+
+        languages.filter(code => this.isText(phrase[code])).forEach(code => {
+            if (slotsOf(phrase[code]).join() !== expected.join()) {
+                errors.push(`${path}: "${code}" translation must have the same slots as the text`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Check a lesson's role-play scenario
+     * @param {string} path - Scenario path (for error messages)
+     * @param {Object} scenario - Scenario data
+     * @param {Array} phraseTexts - English texts of the lesson's phrases
+     * @param {Array} languages - Language codes every character line must carry
+     * @returns {Array} Error messages
+     */
+    validateScenario(path, scenario, phraseTexts, languages) {
+        if (!this.isObject(scenario)) {
+            return [`${path} is not an object`];
+        }
+
+        const errors = [];
+        const nodes = this.isObject(scenario.nodes) ? scenario.nodes : null;
+
+        if (!this.isText(scenario.character)) {
+            errors.push(`${path}.character is missing`);
+        }
+        if (!nodes || Object.keys(nodes).length === 0) {
+            errors.push(`${path}.nodes must be an object with at least one node`);
+            return errors;
+        }
+        if (!nodes[scenario.start]) {
+            errors.push(`${path}.start must name one of the nodes`);
+        }
+
+        Object.entries(nodes).forEach(([nodeKey, node]) => {
+            const nodePath = `${path}.nodes.${nodeKey}`;
+
+            if (!this.isObject(node)) {
+                errors.push(`${nodePath} is not an object`);
+                return;
+            }
+
+            if (!this.isObject(node.say) || !this.isText(node.say.text)) {
+                errors.push(`${nodePath}.say.text is missing`);
+            } else {
+                languages.filter(code => !this.isText(node.say[code])).forEach(code => {
+                    errors.push(`${nodePath}.say: missing "${code}" translation`);
+                });
+            }
+
+            if (node.branches === undefined) return;
+            if (!Array.isArray(node.branches)) {
+                errors.push(`${nodePath}.branches must be a list`);
+                return;
+            }
+
+            node.branches.forEach((branch, index) => {
+                const branchPath = `${nodePath}.branches[${index}]`;
+
+                if (!this.isObject(branch)) {
+                    errors.push(`${branchPath} is not an object`);
+                    return;
+                }
+                if (!this.isText(branch.intent)) {
+                    errors.push(`${branchPath}.intent is missing`);
+                }
+                if (!Array.isArray(branch.phrases) || branch.phrases.length === 0) {
+                    errors.push(`${branchPath}.phrases must list at least one phrase`);
+                } else {
+                    branch.phrases.filter(text => !phraseTexts.includes(text)).forEach(text => {
+                        errors.push(`${branchPath}: "${text}" is not one of the lesson's phrases`);
+                    });
+                }
+                if (!nodes[branch.next]) {
+                    errors.push(`${branchPath}.next must name one of the nodes`);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Merge packs into one lesson map
+     * Later packs win when two packs use the same lesson key.
+     * @param {Array} packs - Valid packs
+     * @param {Object} lessons - Lessons to merge into (optional)
+     * @returns {Object} Lessons by key, each tagged with its pack id
+     */
+    merge(packs, lessons = {}) {
+        const merged = { ...lessons };
+
+        packs.forEach(pack => {
+            Object.entries(pack.lessons).forEach(([lessonKey, lesson]) => {
+                if (merged[lessonKey]) {
+                    this.log(`Lesson "${lessonKey}" from pack "${pack.manifest.id}" replaces an earlier one`, 'warn');
+                }
+                merged[lessonKey] = { ...lesson, pack: pack.manifest.id };
+            });
+        });
+
+        return merged;
+    }
+
+    /**
+     * @param {*} value
+     * @returns {boolean} True for a plain object
+     */
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * @param {*} value
+     * @returns {boolean} True for a non-empty string
+     */
+    isText(value) {
+        return typeof value === 'string' && value.trim() !== '';
+    }
+
+    /**
+     * Log lesson pack information
+     * @param {string} message - Message to log
+     * @param {string} level - Log level
+     */
+    log(message, level = 'info') {
+        const prefix = '[LessonPackLoader]';
+        const timestamp = new Date().toLocaleTimeString();
+
+        switch (level) {
+            case 'error':
+                console.error(`${prefix} ${timestamp} - ${message}`);
+                break;
+            case 'warn':
+                console.warn(`${prefix} ${timestamp} - ${message}`);
+                break;
+            default:
+                console.log(`${prefix} ${timestamp} - ${message}`);
+        }
+    }
+}
+
+// Export for use in other modules
+window.LessonPackLoader = LessonPackLoader;
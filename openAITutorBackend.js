@@ -0,0 +1,247 @@
+/**
+ * ============================================
+ * OPENAI-COMPATIBLE TUTOR BACKEND
+ * ============================================
+ * Tutor backend for any server with an OpenAI-compatible
+ * /chat/completions endpoint (llama.cpp server, Ollama, ...)
+ *
+ * The built-in rules still grade every attempt, so lesson progress stays the
+ * same whichever backend is used; the model only rewrites the correction,
+ * explanation, encouragement and next prompt (in a role-play scenario the
+ * next prompt stays the scripted character line). When the server is unreachable,
+ * slow or answers with something unusable, the rule response is used as is.
+ *
+ * Configured in the tutor-config block of index.html:
+ * {
+ *   "backend": "openai",
+ *   "openai": {
+ *     "baseUrl": "http://192.168.1.20:11434/v1",   (required)
+ *     "model": "llama3.1",                         (required)
+ *     "apiKey": "",                                (optional)
+ *     "timeoutMs": 8000,                           (optional)
+ *     "temperature": 0.3                           (optional)
+ *   }
+ * }
+ */
+
+class OpenAITutorBackend extends TutorBackend {
+    /**
+     * Defaults for optional settings
+     */
+    static DEFAULTS = {
+        apiKey: '',
+        timeoutMs: 8000,
+        temperature: 0.3
+    };
+
+    /**
+     * Learner turns sent along as conversation history
+     */
+    static HISTORY_TURNS = 6;
+
+    /**
+     * Reply fields the model may fill in
+     */
+    static FIELDS = ['correction', 'explanation', 'encouragement', 'nextPrompt'];
+
+    /**
+     * @param {LanguageEngine} languageEngine - Rules (grading and fallback) and language names
+     * @param {Object} options - { baseUrl, model, apiKey, timeoutMs, temperature }
+     */
+    constructor(languageEngine, options = {}) {
+        super('openai');
+        this.languageEngine = languageEngine;
+        this.rules = new RuleTutorBackend(languageEngine);
+        this.options = { ...OpenAITutorBackend.DEFAULTS, ...options };
+
+        if (this.isConfigured()) {
+            this.log(`OpenAI-compatible backend: ${this.options.baseUrl} (${this.options.model})`);
+        } else {
+            this.log('baseUrl and model are required - using the rules only', 'warn');
+        }
+    }
+
+    /**
+     * Grade with the rules, then let the model write the reply
+     * @param {Object} request - See TutorBackend
+     * @returns {Promise<Object>} Teaching response
+     */
+    async respond(request) {
+        const ruleResponse = await this.rules.respond(request);
+
+        if (!this.isConfigured()) {
+            return ruleResponse;
+        }
+
+        try {
+            const content = await this.complete(this.buildMessages(request, ruleResponse));
+            return this.mergeReply(ruleResponse, this.parseReply(content));
+        } catch (error) {
+            this.log(`Falling back to the rules: ${error.message}`, 'warn');
+            return ruleResponse;
+        }
+    }
+
+    /**
+     * @returns {boolean} True if a server and model are set
+     */
+    isConfigured() {
+        return Boolean(this.options.baseUrl && this.options.model);
+    }
+
+    /**
+     * Build the chat messages for one learner turn
+     * @param {Object} request - See TutorBackend
+     * @param {Object} ruleResponse - Graded rule response
+     * @returns {Array} Chat messages
+     */
+    buildMessages(request, ruleResponse) {
+        const { context, history, languages } = request;
+        const native = this.languageEngine.getLanguageName(languages.native, 'en');
+        const learning = this.languageEngine.getLanguageName(languages.learning, 'en');
+
+        const system = [
+            `You are a patient ${learning} tutor for a learner whose native language is ${native}.`,
+            'Reply with a JSON object only, with these keys:',
+            `"correction": the correct ${learning} phrase, or null if the learner got it right;`,
+            `"explanation": one or two short, simple sentences in ${native} about what to fix or what they did well;`,
+            `"encouragement": a short encouraging phrase in ${learning};`,
+            `"nextPrompt": one short practice task for the next turn, in ${native}.`,
+            'Use the grade you are given; do not change whether the attempt passed.'
+        ].join('\n');
+
+        const turn = {
+            transcript: request.transcript,
+            lesson: context.lessonTitle || null,
+            expectedPhrases: (context.expectedPhrases || []).map(phrase => ({
+                meaning: phrase.text,
+                phrase: phrase[languages.learning] || null
+            })),
+            grade: ruleResponse.grade
+                ? { passed: ruleResponse.grade.passed, matchedPhrase: ruleResponse.grade.matchedPhrase }
+                : null,
+            learnerDetails: { ...this.languageEngine.slots },
+            earlierAttempts: (history || [])
+                .slice(-OpenAITutorBackend.HISTORY_TURNS)
+                .map(entry => entry.input),
+            scenario: context.scenario
+                ? { character: context.scenario.character, nextLine: ruleResponse.nextPrompt }
+                : null,
+            ruleFeedback: {
+                correction: ruleResponse.correction,
+                explanation: ruleResponse.explanation
+            }
+        };
+
+        return [
+            { role: 'system', content: system },
+            { role: 'user', content: JSON.stringify(turn) }
+        ];
+    }
+
+    /**
+     * Send a chat completion request, giving up after timeoutMs
+     * @param {Array} messages - Chat messages
+     * @returns {Promise<string>} Content of the first choice
+     */
+    async complete(messages) {
+        const { baseUrl, model, apiKey, timeoutMs, temperature } = this.options;
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) {
+            headers.Authorization = `Bearer ${apiKey}`;
+        }
+
+        try {
+            const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    model,
+                    messages,
+                    temperature,
+                    response_format: { type: 'json_object' }
+                }),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+            const choice = data && Array.isArray(data.choices) ? data.choices[0] : null;
+            if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+                throw new Error('Reply has no message content');
+            }
+            return choice.message.content;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`No reply within ${timeoutMs} ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Read the model's JSON reply
+     * @param {string} content - Message content (may be wrapped in a code fence)
+     * @returns {Object} Reply fields that hold text
+     */
+    parseReply(content) {
+        const json = content.trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+        const data = JSON.parse(json);
+        const reply = {};
+
+        OpenAITutorBackend.FIELDS.forEach(field => {
+            if (typeof data[field] === 'string' && data[field].trim()) {
+                reply[field] = data[field].trim();
+            }
+        });
+
+        if (!reply.explanation && !reply.correction) {
+            throw new Error('Reply has neither a correction nor an explanation');
+        }
+
+        return reply;
+    }
+
+    /**
+     * Put the model's text into the graded rule response
+     * Grade, word diff and scenario steps always come from the rules
+     * @param {Object} ruleResponse - Graded rule response
+     * @param {Object} reply - Parsed reply fields
+     * @returns {Object} Teaching response
+     */
+    mergeReply(ruleResponse, reply) {
+        const response = { ...ruleResponse, languages: { ...ruleResponse.languages } };
+        const { nativeLanguage, learningLanguage } = this.languageEngine;
+        const replyLanguages = {
+            correction: learningLanguage,
+            explanation: nativeLanguage,
+            encouragement: learningLanguage,
+            nextPrompt: nativeLanguage
+        };
+
+        // Scenario lines follow the script
+        const fields = ruleResponse.scenario
+            ? OpenAITutorBackend.FIELDS.filter(field => field !== 'nextPrompt')
+            : OpenAITutorBackend.FIELDS;
+
+        fields.forEach(field => {
+            if (reply[field]) {
+                response[field] = reply[field];
+                response.languages[field] = replyLanguages[field];
+            }
+        });
+
+        return response;
+    }
+}
+
+// Export for use in other modules
+window.OpenAITutorBackend = OpenAITutorBackend;
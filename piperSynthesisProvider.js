@@ -0,0 +1,196 @@
+/**
+ * ============================================
+ * PIPER SYNTHESIS PROVIDER
+ * ============================================
+ * Offline speech with Piper voices (piper-tts-web WASM build)
+ *
+ * Text is turned into audio in the page and played with an <audio>
+ * element; nothing is sent anywhere. Each voice model is downloaded on
+ * first use and cached by the library, so the first sentence is slow.
+ *
+ * The library and voices don't ship with the repo: until moduleUrl and
+ * voices are set, the provider is unavailable.
+ *
+ * Configured in the speech-config block of index.html:
+ * {
+ *   "synthesis": {
+ *     "piper": {
+ *       "moduleUrl": "vendor/piper/piper-tts-web.js",         (required, ES module)
+ *       "voices": { "es": ["es_ES-davefx-medium"], ... }      (required, by language code)
+ *     }
+ *   }
+ * }
+ */
+
+class PiperSynthesisProvider extends SynthesisProvider {
+    /**
+     * Defaults for optional settings
+     */
+    static DEFAULTS = {
+        moduleUrl: '',
+        voices: {}
+    };
+
+    /**
+     * @param {Object} options - { moduleUrl, voices }
+     */
+    constructor(options = {}) {
+        super('piper', true);
+        this.options = { ...PiperSynthesisProvider.DEFAULTS, ...options };
+
+        // Library import (promise, kept once loaded)
+        this.library = null;
+
+        // Set when the library could not be imported (missing or broken build)
+        this.loadFailed = false;
+
+        // Sentence being synthesized or played: { audio, url, reject }
+        this.current = null;
+    }
+
+    /**
+     * @returns {boolean} True if voices are configured, the library has not
+     *   failed to load and the browser has WebAssembly and audio playback
+     */
+    isAvailable() {
+        return !this.loadFailed &&
+            Boolean(this.options.moduleUrl) &&
+            Object.keys(this.options.voices).length > 0 &&
+            typeof WebAssembly === 'object' &&
+            typeof Audio === 'function';
+    }
+
+    /**
+     * Get the configured voices for a language
+     * Voice ids look like "es_ES-davefx-medium" (locale, speaker, quality)
+     * @param {string} locale - BCP-47 locale
+     * @returns {Array} Voices as { id, name, lang }
+     */
+    getVoices(locale) {
+        const ids = this.options.voices[this.getLanguage(locale)] || [];
+
+        return ids.map(id => {
+            const [voiceLocale, speaker] = id.split('-');
+            return {
+                id,
+                name: `${speaker} (${voiceLocale.replace('_', '-')}, offline)`,
+                lang: voiceLocale.replace('_', '-')
+            };
+        });
+    }
+
+    /**
+     * Synthesize text and play it
+     * @param {string} text - Text to speak
+     * @param {Object} options - { locale, voice, rate, volume } (pitch is not supported)
+     * @returns {Promise} Resolves when playback finishes
+     */
+    async speak(text, options) {
+        this.cancel();
+
+        const voice = options.voice || this.getVoices(options.locale)[0];
+        if (!voice) {
+            throw new Error(`No Piper voice for ${options.locale}`);
+        }
+
+        const current = {};
+        this.current = current;
+
+        const finished = new Promise((resolve, reject) => {
+            current.resolve = resolve;
+            current.reject = reject;
+        });
+
+        this.synthesize(text, voice.id).then((wav) => {
+            if (this.current !== current) return;
+
+            current.url = URL.createObjectURL(wav);
+            current.audio = new Audio(current.url);
+            current.audio.playbackRate = options.rate;
+            current.audio.volume = options.volume;
+            current.audio.onended = () => this.finish(current);
+            current.audio.onerror = () => this.finish(current, new Error('audio-error'));
+            return current.audio.play();
+        }).catch((error) => this.finish(current, error));
+
+        return finished;
+    }
+
+    /**
+     * Turn text into a WAV blob
+     * @param {string} text - Text to speak
+     * @param {string} voiceId - Piper voice id
+     * @returns {Promise<Blob>} WAV audio
+     */
+    async synthesize(text, voiceId) {
+        const tts = await this.loadLibrary();
+        return tts.predict({ text, voiceId });
+    }
+
+    /**
+     * Stop speaking; the pending speak() rejects with 'interrupted'
+     */
+    cancel() {
+        if (this.current) {
+            this.finish(this.current, new Error('interrupted'));
+        }
+    }
+
+    /**
+     * @returns {boolean} True while synthesizing or playing
+     */
+    isSpeaking() {
+        return this.current !== null;
+    }
+
+    /**
+     * Settle a sentence once and release its audio
+     * @param {Object} current - Sentence state
+     * @param {Error|null} error - Error, or null when playback finished
+     */
+    finish(current, error = null) {
+        if (current.settled) return;
+        current.settled = true;
+
+        if (current.audio) {
+            current.audio.onended = null;
+            current.audio.onerror = null;
+            current.audio.pause();
+        }
+        if (current.url) {
+            URL.revokeObjectURL(current.url);
+        }
+        if (this.current === current) {
+            this.current = null;
+        }
+
+        if (error) {
+            current.reject(error);
+        } else {
+            current.resolve();
+        }
+    }
+
+    /**
+     * Import the piper-tts-web module from moduleUrl (once)
+     * If the import fails the provider turns unavailable, so its voices
+     * leave the voice picker and other providers speak instead
+     * @returns {Promise<Object>} Module with predict()
+     */
+    loadLibrary() {
+        if (!this.library) {
+            this.log(`Loading ${this.options.moduleUrl}`);
+            this.library = import(new URL(this.options.moduleUrl, document.baseURI).href)
+                .catch((error) => {
+                    this.log(`Could not load ${this.options.moduleUrl}: ${error.message}`, 'error');
+                    this.loadFailed = true;
+                    this.emit('onvoiceschanged');
+                    throw error;
+                });
+        }
+        return this.library;
+    }
+}
+
+// Export for use in other modules
+window.PiperSynthesisProvider = PiperSynthesisProvider;
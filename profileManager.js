@@ -0,0 +1,275 @@
+/**
+ * ============================================
+ * PROFILE MANAGER
+ * ============================================
+ * Manages learner profiles on a shared device
+ *
+ * Responsibilities:
+ * - Create, rename, select and delete profiles
+ * - Check optional picture PINs
+ * - Map each profile to its own progress snapshot
+ *
+ * Notes:
+ * - A picture PIN keeps classmates from opening each other's profile by
+ *   accident. It is stored on the device and is not a security boundary.
+ */
+
+class ProfileManager {
+    /**
+     * Avatars a learner can choose from
+     */
+    static AVATARS = ['🦊', '🐼', '🦁', '🐢', '🦉', '🐬', '🌻', '🚀', '⚽', '🎨'];
+
+    /**
+     * Pictures used for picture PINs
+     */
+    static PIN_PICTURES = ['🍎', '🐱', '🌙', '⭐', '🚗', '🌳', '🎈', '🐟', '🏠'];
+
+    /**
+     * Number of pictures in a PIN
+     */
+    static PIN_LENGTH = 3;
+
+    /**
+     * @param {StorageManager} storageManager - Storage for the profile registry
+     */
+    constructor(storageManager) {
+        this.storageManager = storageManager;
+
+        // Profile registry
+        this.profiles = [];
+        this.activeProfileId = null;
+
+        this.log('Profile Manager initialized');
+    }
+
+    /**
+     * Load the profile registry from storage
+     */
+    async load() {
+        const registry = await this.storageManager.load(StorageManager.PROFILES_KEY, 'profiles');
+
+        if (registry) {
+            this.profiles = registry.profiles || [];
+            this.activeProfileId = registry.activeProfileId || null;
+        }
+
+        this.log(`Loaded ${this.profiles.length} profile(s)`);
+    }
+
+    /**
+     * Save the profile registry to storage
+     * @returns {Promise<boolean>} True if saved
+     */
+    save() {
+        return this.storageManager.save(StorageManager.PROFILES_KEY, {
+            profiles: this.profiles,
+            activeProfileId: this.activeProfileId
+        }, 'profiles');
+    }
+
+    /**
+     * Get all profiles, most recently used first
+     * @returns {Array} Profile objects
+     */
+    getProfiles() {
+        return [...this.profiles].sort((a, b) => (b.lastUsed || 0) - (a.lastUsed || 0));
+    }
+
+    /**
+     * Get a profile by id
+     * @param {string} profileId - Profile identifier
+     * @returns {Object|null} Profile
+     */
+    getProfile(profileId) {
+        return this.profiles.find(profile => profile.id === profileId) || null;
+    }
+
+    /**
+     * Get the selected profile
+     * @returns {Object|null} Profile
+     */
+    getActiveProfile() {
+        return this.getProfile(this.activeProfileId);
+    }
+
+    /**
+     * Create a new profile
+     * The first profile created adopts progress saved before profiles existed
+     * @param {string} name - Learner's display name
+     * @param {string} avatar - Avatar emoji
+     * @param {Array|null} pin - Picture PIN as indexes into PIN_PICTURES
+     * @returns {Promise<Object|null>} New profile, or null if the name is empty
+     */
+    async createProfile(name, avatar, pin = null) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            this.log('Cannot create profile without a name', 'warn');
+            return null;
+        }
+
+        const profile = {
+            id: `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: trimmed,
+            avatar: avatar || ProfileManager.AVATARS[0],
+            pin: this.isValidPin(pin) ? pin : null,
+            createdAt: Date.now(),
+            lastUsed: null
+        };
+
+        const isFirstProfile = this.profiles.length === 0;
+        this.profiles.push(profile);
+        await this.save();
+
+        if (isFirstProfile) {
+            await this.adoptLegacyProgress(profile.id);
+        }
+
+        this.log(`Created profile "${profile.name}"`);
+        return profile;
+    }
+
+    /**
+     * Rename a profile
+     * @param {string} profileId - Profile identifier
+     * @param {string} name - New display name
+     * @returns {Promise<boolean>} True if renamed
+     */
+    async renameProfile(profileId, name) {
+        const profile = this.getProfile(profileId);
+        const trimmed = (name || '').trim();
+
+        if (!profile || !trimmed) return false;
+
+        profile.name = trimmed;
+        await this.save();
+
+        this.log(`Renamed profile ${profileId} to "${trimmed}"`);
+        return true;
+    }
+
+    /**
+     * Delete a profile and its saved progress
+     * @param {string} profileId - Profile identifier
+     * @returns {Promise<boolean>} True if deleted
+     */
+    async deleteProfile(profileId) {
+        if (!this.getProfile(profileId)) return false;
+
+        this.profiles = this.profiles.filter(profile => profile.id !== profileId);
+        if (this.activeProfileId === profileId) {
+            this.activeProfileId = null;
+        }
+
+        await this.storageManager.remove(this.getProgressKey(profileId));
+        await this.save();
+
+        this.log(`Deleted profile ${profileId}`);
+        return true;
+    }
+
+    /**
+     * Make a profile the active one
+     * @param {string} profileId - Profile identifier
+     * @returns {Promise<Object|null>} Selected profile
+     */
+    async selectProfile(profileId) {
+        const profile = this.getProfile(profileId);
+        if (!profile) {
+            this.log(`Profile ${profileId} not found`, 'error');
+            return null;
+        }
+
+        profile.lastUsed = Date.now();
+        this.activeProfileId = profileId;
+        await this.save();
+
+        this.log(`Selected profile "${profile.name}"`);
+        return profile;
+    }
+
+    /**
+     * Check if a profile is protected by a picture PIN
+     * @param {string} profileId - Profile identifier
+     * @returns {boolean} True if a PIN is set
+     */
+    hasPin(profileId) {
+        const profile = this.getProfile(profileId);
+        return Boolean(profile && profile.pin);
+    }
+
+    /**
+     * Check a picture PIN attempt
+     * @param {string} profileId - Profile identifier
+     * @param {Array} attempt - Picture indexes in the order tapped
+     * @returns {boolean} True if it matches (or the profile has no PIN)
+     */
+    verifyPin(profileId, attempt) {
+        const profile = this.getProfile(profileId);
+        if (!profile) return false;
+        if (!profile.pin) return true;
+
+        return Array.isArray(attempt) &&
+            attempt.length === profile.pin.length &&
+            attempt.every((picture, index) => picture === profile.pin[index]);
+    }
+
+    /**
+     * Check that a PIN has the right length and only known pictures
+     * @param {Array} pin - Picture indexes
+     * @returns {boolean} True if valid
+     */
+    isValidPin(pin) {
+        return Array.isArray(pin) &&
+            pin.length === ProfileManager.PIN_LENGTH &&
+            pin.every(index => Number.isInteger(index) &&
+                index >= 0 && index < ProfileManager.PIN_PICTURES.length);
+    }
+
+    /**
+     * Get the storage key for a profile's progress snapshot
+     * @param {string} profileId - Profile identifier
+     * @returns {string} Storage key
+     */
+    getProgressKey(profileId) {
+        return `${StorageManager.PROGRESS_KEY}.${profileId}`;
+    }
+
+    /**
+     * Move the single anonymous snapshot into a profile
+     * @param {string} profileId - Profile that receives the progress
+     */
+    async adoptLegacyProgress(profileId) {
+        const legacy = await this.storageManager.load(StorageManager.PROGRESS_KEY);
+        if (!legacy) return;
+
+        await this.storageManager.save(this.getProgressKey(profileId), legacy);
+        await this.storageManager.remove(StorageManager.PROGRESS_KEY);
+
+        this.log(`Moved earlier progress into profile ${profileId}`);
+    }
+
+    /**
+     * Log profile manager information
+     * @param {string} message - Message to log
+     * @param {string} level - Log level
+     */
+    log(message, level = 'info') {
+        const prefix = '[ProfileManager]';
+        const timestamp = new Date().toLocaleTimeString();
+
+        switch (level) {
+            case 'error':
+                console.error(`${prefix} ${timestamp} - ${message}`);
+                break;
+            case 'warn':
+                console.warn(`${prefix} ${timestamp} - ${message}`);
+                break;
+            default:
+                console.log(`${prefix} ${timestamp} - ${message}`);
+        }
+    }
+}
+
+// Export for use in other modules
+window.ProfileManager = ProfileManager;
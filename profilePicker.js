@@ -0,0 +1,424 @@
+/**
+ * ============================================
+ * PROFILE PICKER
+ * ============================================
+ * Full-screen "Who is learning today?" dialog for shared devices
+ *
+ * Views:
+ * - List: pick, rename or delete a learner
+ * - Create: name, avatar and optional picture PIN
+ * - PIN: tap pictures in order to unlock a profile
+ * - Rename / Delete confirmation
+ *
+ * All learner-provided text is inserted with textContent, never innerHTML.
+ * Dialog text comes from the message catalog of the language set with
+ * setLanguage() (the learner's native language once known).
+ */
+
+class ProfilePicker {
+    /**
+     * @param {ProfileManager} profileManager - Profile data source
+     * @param {LanguageRegistry} registry - Dialog messages (read from HTML if omitted)
+     */
+    constructor(profileManager, registry = null) {
+        this.profileManager = profileManager;
+        this.registry = registry || new LanguageRegistry();
+
+        // Language the dialog is written in
+        this.language = LanguageRegistry.FALLBACK_LANGUAGE;
+
+        // Cache DOM elements
+        this.elements = {
+            overlay: document.getElementById('profileOverlay'),
+            title: document.getElementById('profileTitle'),
+            body: document.getElementById('profileBody')
+        };
+
+        // Pending choose() call
+        this.resolveChoice = null;
+        this.allowCancel = false;
+
+        this.log('Profile Picker initialized');
+    }
+
+    /**
+     * Set the language the dialog is written in
+     * @param {string} code - Language code
+     */
+    setLanguage(code) {
+        this.language = code;
+        this.elements.overlay.lang = code;
+        this.elements.overlay.dir = this.registry.getDirection(code);
+    }
+
+    /**
+     * Open the picker and wait for the learner to pick a profile
+     * @param {Object} options
+     * @param {boolean} options.allowCancel - Show a cancel button
+     * @returns {Promise<Object|null>} Selected profile, or null if cancelled
+     */
+    choose(options = {}) {
+        this.allowCancel = Boolean(options.allowCancel);
+        this.elements.overlay.classList.remove('hidden');
+
+        if (this.profileManager.getProfiles().length === 0) {
+            this.showCreate();
+        } else {
+            this.showList();
+        }
+
+        return new Promise(resolve => {
+            this.resolveChoice = resolve;
+        });
+    }
+
+    /**
+     * Close the picker and settle the pending choice
+     * @param {Object|null} profile - Selected profile
+     */
+    close(profile) {
+        this.elements.overlay.classList.add('hidden');
+        this.elements.body.innerHTML = '';
+
+        if (this.resolveChoice) {
+            const resolve = this.resolveChoice;
+            this.resolveChoice = null;
+            resolve(profile);
+        }
+    }
+
+    /**
+     * Select a profile and close
+     * @param {Object} profile - Profile to select
+     */
+    async pick(profile) {
+        const selected = await this.profileManager.selectProfile(profile.id);
+        this.close(selected);
+    }
+
+    /**
+     * Show the list of profiles
+     */
+    showList() {
+        this.setView(this.getMessage('profile_choose'));
+        const { body } = this.elements;
+
+        const grid = document.createElement('div');
+        grid.className = 'profile-grid';
+
+        this.profileManager.getProfiles().forEach(profile => {
+            const card = document.createElement('div');
+            card.className = 'profile-card';
+
+            const select = this.createButton('', 'profile-select', () => {
+                this.unlock(profile, () => this.pick(profile));
+            });
+            const avatar = document.createElement('span');
+            avatar.className = 'profile-avatar';
+            avatar.textContent = profile.avatar;
+            const name = document.createElement('span');
+            name.className = 'profile-name';
+            name.textContent = profile.pin ? `${profile.name} 🔒` : profile.name;
+            select.append(avatar, name);
+
+            const actions = document.createElement('div');
+            actions.className = 'profile-actions';
+            actions.append(
+                this.createButton('✏️', 'profile-action', () => {
+                    this.unlock(profile, () => this.showRename(profile));
+                }, this.getMessage('profile_rename', { name: profile.name })),
+                this.createButton('🗑️', 'profile-action', () => {
+                    this.unlock(profile, () => this.showConfirmDelete(profile));
+                }, this.getMessage('profile_delete', { name: profile.name }))
+            );
+
+            card.append(select, actions);
+            grid.appendChild(card);
+        });
+
+        const addButton = this.createButton('', 'profile-card profile-add', () => this.showCreate());
+        const plus = document.createElement('span');
+        plus.className = 'profile-avatar';
+        plus.textContent = '➕';
+        const label = document.createElement('span');
+        label.className = 'profile-name';
+        label.textContent = this.getMessage('profile_new');
+        addButton.append(plus, label);
+        grid.appendChild(addButton);
+
+        body.appendChild(grid);
+
+        if (this.allowCancel) {
+            body.appendChild(this.createFooter([
+                this.createButton(this.getMessage('button_cancel'), 'profile-btn secondary', () => this.close(null))
+            ]));
+        }
+    }
+
+    /**
+     * Show the new profile form
+     */
+    showCreate() {
+        this.setView(this.getMessage('profile_new'));
+        const { body } = this.elements;
+        const hasProfiles = this.profileManager.getProfiles().length > 0;
+
+        let avatar = ProfileManager.AVATARS[0];
+        let pin = null;
+
+        const nameInput = this.createNameInput('');
+
+        const avatarRow = document.createElement('div');
+        avatarRow.className = 'profile-avatar-row';
+        ProfileManager.AVATARS.forEach(choice => {
+            const button = this.createButton(choice, 'profile-avatar-choice', () => {
+                avatar = choice;
+                avatarRow.querySelectorAll('button').forEach(btn => {
+                    btn.classList.toggle('active', btn === button);
+                });
+            }, this.getMessage('profile_avatar', { avatar: choice }));
+            button.classList.toggle('active', choice === avatar);
+            avatarRow.appendChild(button);
+        });
+
+        const pinStatus = document.createElement('p');
+        pinStatus.className = 'profile-hint';
+        pinStatus.textContent = this.getMessage('profile_no_pin');
+
+        const pinHolder = document.createElement('div');
+        const pinButton = this.createButton(this.getMessage('profile_add_pin'), 'profile-btn secondary', () => {
+            pinHolder.innerHTML = '';
+            pinHolder.appendChild(this.createPinPad(chosen => {
+                pin = chosen;
+                pinHolder.innerHTML = '';
+                pinStatus.textContent = this.getMessage('profile_pin', {
+                    pictures: chosen.map(index => ProfileManager.PIN_PICTURES[index]).join(' ')
+                });
+            }));
+        });
+
+        const saveButton = this.createButton(this.getMessage('profile_start'), 'profile-btn primary', async () => {
+            const profile = await this.profileManager.createProfile(nameInput.value, avatar, pin);
+            if (profile) {
+                this.pick(profile);
+            } else {
+                nameInput.focus();
+            }
+        });
+
+        const buttons = [saveButton];
+        if (hasProfiles) {
+            buttons.unshift(this.createButton(this.getMessage('button_back'), 'profile-btn secondary', () => this.showList()));
+        }
+
+        body.append(nameInput, avatarRow, pinStatus, pinButton, pinHolder, this.createFooter(buttons));
+        nameInput.focus();
+    }
+
+    /**
+     * Show the rename form
+     * @param {Object} profile - Profile to rename
+     */
+    showRename(profile) {
+        this.setView(this.getMessage('profile_rename', { name: profile.name }));
+
+        const nameInput = this.createNameInput(profile.name);
+
+        this.elements.body.append(nameInput, this.createFooter([
+            this.createButton(this.getMessage('button_back'), 'profile-btn secondary', () => this.showList()),
+            this.createButton(this.getMessage('button_save'), 'profile-btn primary', async () => {
+                if (await this.profileManager.renameProfile(profile.id, nameInput.value)) {
+                    this.showList();
+                } else {
+                    nameInput.focus();
+                }
+            })
+        ]));
+        nameInput.select();
+    }
+
+    /**
+     * Show the delete confirmation
+     * @param {Object} profile - Profile to delete
+     */
+    showConfirmDelete(profile) {
+        this.setView(this.getMessage('profile_delete_confirm', { name: profile.name }));
+
+        const warning = document.createElement('p');
+        warning.className = 'profile-hint';
+        warning.textContent = this.getMessage('profile_delete_warning');
+
+        this.elements.body.append(warning, this.createFooter([
+            this.createButton(this.getMessage('profile_keep'), 'profile-btn secondary', () => this.showList()),
+            this.createButton(this.getMessage('button_delete'), 'profile-btn danger', async () => {
+                await this.profileManager.deleteProfile(profile.id);
+                if (this.profileManager.getProfiles().length === 0) {
+                    this.showCreate();
+                } else {
+                    this.showList();
+                }
+            })
+        ]));
+    }
+
+    /**
+     * Ask for the picture PIN (if any) before running an action
+     * @param {Object} profile - Profile to unlock
+     * @param {Function} onUnlocked - Called once the PIN matches
+     */
+    unlock(profile, onUnlocked) {
+        if (!this.profileManager.hasPin(profile.id)) {
+            onUnlocked();
+            return;
+        }
+
+        this.setView(`${profile.avatar} ${this.getMessage('profile_tap_pictures')}`);
+
+        const message = document.createElement('p');
+        message.className = 'profile-hint';
+
+        const pad = this.createPinPad(attempt => {
+            if (this.profileManager.verifyPin(profile.id, attempt)) {
+                onUnlocked();
+            } else {
+                message.textContent = this.getMessage('profile_pin_wrong');
+                pad.classList.add('shake');
+                setTimeout(() => pad.classList.remove('shake'), 400);
+            }
+        });
+
+        this.elements.body.append(pad, message, this.createFooter([
+            this.createButton(this.getMessage('button_back'), 'profile-btn secondary', () => this.showList())
+        ]));
+    }
+
+    /**
+     * Create a picture pad that collects PIN_LENGTH taps
+     * @param {Function} onComplete - Called with the tapped picture indexes
+     * @returns {HTMLElement} Pad element
+     */
+    createPinPad(onComplete) {
+        const pad = document.createElement('div');
+        pad.className = 'pin-pad';
+
+        const dots = document.createElement('div');
+        dots.className = 'pin-dots';
+
+        const grid = document.createElement('div');
+        grid.className = 'pin-grid';
+
+        let entered = [];
+        const updateDots = () => {
+            dots.textContent = Array.from({ length: ProfileManager.PIN_LENGTH },
+                (_, index) => (index < entered.length ? '●' : '○')).join(' ');
+        };
+
+        ProfileManager.PIN_PICTURES.forEach((picture, index) => {
+            grid.appendChild(this.createButton(picture, 'pin-picture', () => {
+                entered.push(index);
+                updateDots();
+
+                if (entered.length === ProfileManager.PIN_LENGTH) {
+                    const attempt = entered;
+                    entered = [];
+                    setTimeout(updateDots, 200);
+                    onComplete(attempt);
+                }
+            }, this.getMessage('profile_picture', { picture })));
+        });
+
+        updateDots();
+        pad.append(dots, grid);
+        return pad;
+    }
+
+    /**
+     * Create the learner name input
+     * @param {string} value - Initial value
+     * @returns {HTMLInputElement} Input element
+     */
+    createNameInput(value) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'profile-input';
+        input.placeholder = this.getMessage('profile_name_placeholder');
+        input.maxLength = 30;
+        input.value = value;
+        return input;
+    }
+
+    /**
+     * Create a button
+     * @param {string} text - Button text
+     * @param {string} className - CSS classes
+     * @param {Function} onClick - Click handler
+     * @param {string} ariaLabel - Accessible label (optional)
+     * @returns {HTMLButtonElement} Button element
+     */
+    createButton(text, className, onClick, ariaLabel = null) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.textContent = text;
+        if (ariaLabel) {
+            button.setAttribute('aria-label', ariaLabel);
+        }
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Create a row of footer buttons
+     * @param {Array} buttons - Button elements
+     * @returns {HTMLElement} Footer element
+     */
+    createFooter(buttons) {
+        const footer = document.createElement('div');
+        footer.className = 'profile-footer';
+        footer.append(...buttons);
+        return footer;
+    }
+
+    /**
+     * Get a dialog message in the dialog's language
+     * @param {string} key - Message key
+     * @param {Object} params - Values for {placeholder} substitution
+     * @returns {string} Localized message
+     */
+    getMessage(key, params = {}) {
+        return this.registry.getMessage(this.language, key, params);
+    }
+
+    /**
+     * Clear the dialog and set its title
+     * @param {string} title - Dialog title
+     */
+    setView(title) {
+        this.elements.title.textContent = title;
+        this.elements.body.innerHTML = '';
+    }
+
+    /**
+     * Log profile picker information
+     * @param {string} message - Message to log
+     * @param {string} level - Log level
+     */
+    log(message, level = 'info') {
+        const prefix = '[ProfilePicker]';
+        const timestamp = new Date().toLocaleTimeString();
+
+        switch (level) {
+            case 'error':
+                console.error(`${prefix} ${timestamp} - ${message}`);
+                break;
+            case 'warn':
+                console.warn(`${prefix} ${timestamp} - ${message}`);
+                break;
+            default:
+                console.log(`${prefix} ${timestamp} - ${message}`);
+        }
+    }
+}
+
+// Export for use in other modules
+window.ProfilePicker = ProfilePicker;
@@ -0,0 +1,102 @@
+/**
+ * ============================================
+ * RECOGNITION PROVIDER
+ * ============================================
+ * Interface for whatever turns the learner's speech into text
+ *
+ * A provider listens for one phrase per start() and reports through
+ * handlers the VoiceEngine assigns:
+ * - onstart()                        listening has begun
+ * - onresult(transcript, confidence) one final transcript (confidence 0-1, or null)
+ * - onerror(code)                    Web Speech error codes: 'no-speech',
+ *                                    'audio-capture', 'not-allowed', 'network',
+ *                                    'language-not-supported', ... plus
+ *                                    'model-unavailable' for offline models
+ * - onend()                          listening has stopped, after a result,
+ *                                    an error or stop() (always called once)
+ *
+ * Providers: WebSpeechRecognitionProvider (browser, may use a cloud service),
+ * VoskRecognitionProvider (offline, local WASM model)
+ */
+
+class RecognitionProvider {
+    /**
+     * @param {string} name - Provider name (settings and log messages)
+     * @param {boolean} offline - True if audio never leaves the device
+     */
+    constructor(name, offline) {
+        this.name = name;
+        this.offline = offline;
+
+        this.onstart = null;
+        this.onresult = null;
+        this.onerror = null;
+        this.onend = null;
+    }
+
+    /**
+     * @returns {boolean} True if the provider can run in this browser
+     */
+    isAvailable() {
+        return false;
+    }
+
+    /**
+     * @param {string} locale - BCP-47 locale (e.g. 'es-ES')
+     * @returns {boolean} True if the provider can recognize this language
+     */
+    supportsLanguage(locale) {
+        return true;
+    }
+
+    /**
+     * Start listening for one phrase
+     * @param {string} locale - BCP-47 locale to recognize
+     * @returns {Promise} Resolves once listening has started
+     */
+    async start(locale) {
+        throw new Error(`Recognition provider "${this.name}" does not implement start()`);
+    }
+
+    /**
+     * Stop listening; onend follows
+     */
+    stop() {
+        throw new Error(`Recognition provider "${this.name}" does not implement stop()`);
+    }
+
+    /**
+     * Call a handler if one is assigned
+     * @param {string} handler - Handler name ('onresult', ...)
+     * @param {...*} args - Handler arguments
+     */
+    emit(handler, ...args) {
+        if (typeof this[handler] === 'function') {
+            this[handler](...args);
+        }
+    }
+
+    /**
+     * Log recognition provider information
+     * @param {string} message - Message to log
+     * @param {string} level - Log level
+     */
+    log(message, level = 'info') {
+        const prefix = `[${this.constructor.name}]`;
+        const timestamp = new Date().toLocaleTimeString();
+
+        switch (level) {
+            case 'error':
+                console.error(`${prefix} ${timestamp} - ${message}`);
+                break;
+            case 'warn':
+                console.warn(`${prefix} ${timestamp} - ${message}`);
+                break;
+            default:
+                console.log(`${prefix} ${timestamp} - ${message}`);
+        }
+    }
+}
+
+// Export for use in other modules
+window.RecognitionProvider = RecognitionProvider;
@@ -0,0 +1,170 @@
+/**
+ * ============================================
+ * REVIEW SCHEDULER
+ * ============================================
+ * Spaced repetition (SM-2) for lesson phrases
+ *
+ * Each phrase gets a card per language pair (e.g. "en-es") holding:
+ * - ease: how easy the phrase is for this learner (min 1.3, starts at 2.5)
+ * - interval: days until the next review
+ * - repetitions: successful reviews in a row
+ * - due: timestamp when the phrase should be reviewed again
+ *
+ * Attempt scores (0-1) are mapped to SM-2 quality grades (0-5).
+ * Grades below 3 reset the card so the phrase comes back the next day;
+ * passes before a card is due leave it as it is.
+ */
+
+class ReviewScheduler {
+    /**
+     * One day in milliseconds
+     */
+    static DAY_MS = 24 * 60 * 60 * 1000;
+
+    /**
+     * Minimum attempt score for each SM-2 quality grade, best first
+     */
+    static QUALITY_THRESHOLDS = [
+        { score: 0.95, quality: 5 },
+        { score: 0.8, quality: 4 },
+        { score: 0.65, quality: 3 },
+        { score: 0.5, quality: 2 },
+        { score: 0.3, quality: 1 }
+    ];
+
+    constructor() {
+        // Cards by language pair, then by phrase id
+        this.cards = {};
+    }
+
+    /**
+     * Build the key for a language pair
+     * @param {string} native - Native language code
+     * @param {string} learning - Learning language code
+     * @returns {string} Pair key (e.g. "en-es")
+     */
+    static getPairKey(native, learning) {
+        return `${native}-${learning}`;
+    }
+
+    /**
+     * Convert an attempt score into an SM-2 quality grade
+     * @param {number} score - Similarity score (0-1)
+     * @returns {number} Quality (0-5)
+     */
+    qualityFromScore(score) {
+        const match = ReviewScheduler.QUALITY_THRESHOLDS.find(threshold => score >= threshold.score);
+        return match ? match.quality : 0;
+    }
+
+    /**
+     * Get a card, if the phrase has been practiced in this pair
+     * @param {string} pairKey - Language pair key
+     * @param {string} phraseId - Phrase identifier
+     * @returns {Object|null} Card
+     */
+    getCard(pairKey, phraseId) {
+        return (this.cards[pairKey] && this.cards[pairKey][phraseId]) || null;
+    }
+
+    /**
+     * Record a review and reschedule the phrase (SM-2)
+     * A pass only moves a card on when it is new or due, so repeating a
+     * phrase within one sitting doesn't push it days away; a miss always
+     * counts as a lapse and brings the phrase back the next day
+     * @param {string} pairKey - Language pair key
+     * @param {string} phraseId - Phrase identifier
+     * @param {number} score - Attempt score (0-1)
+     * @param {number} now - Current time (defaults to now)
+     * @returns {Object} Updated card
+     */
+    recordReview(pairKey, phraseId, score, now = Date.now()) {
+        if (!this.cards[pairKey]) {
+            this.cards[pairKey] = {};
+        }
+
+        const card = this.cards[pairKey][phraseId] || {
+            ease: 2.5,
+            interval: 0,
+            repetitions: 0,
+            lapses: 0,
+            due: now,
+            lastReviewed: null
+        };
+
+        const quality = this.qualityFromScore(score);
+        const isNew = !this.cards[pairKey][phraseId];
+
+        // Passed again before it was due: already scheduled
+        if (quality >= 3 && !isNew && now < card.due) {
+            return card;
+        }
+
+        if (quality >= 3) {
+            if (card.repetitions === 0) {
+                card.interval = 1;
+            } else if (card.repetitions === 1) {
+                card.interval = 6;
+            } else {
+                card.interval = Math.round(card.interval * card.ease);
+            }
+            card.repetitions++;
+        } else {
+            card.repetitions = 0;
+            card.interval = 1;
+            card.lapses++;
+        }
+
+        card.ease = Math.max(1.3, card.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+        card.due = now + card.interval * ReviewScheduler.DAY_MS;
+        card.lastReviewed = now;
+
+        this.cards[pairKey][phraseId] = card;
+        return card;
+    }
+
+    /**
+     * Get phrases due for review, most overdue first
+     * @param {string} pairKey - Language pair key
+     * @param {number} limit - Maximum number of phrases
+     * @param {number} now - Current time (defaults to now)
+     * @returns {Array} Phrase ids
+     */
+    getDuePhraseIds(pairKey, limit = Infinity, now = Date.now()) {
+        const cards = this.cards[pairKey] || {};
+
+        return Object.keys(cards)
+            .filter(phraseId => cards[phraseId].due <= now)
+            .sort((a, b) => cards[a].due - cards[b].due)
+            .slice(0, limit);
+    }
+
+    /**
+     * Count phrases due for review
+     * @param {string} pairKey - Language pair key
+     * @param {number} now - Current time (defaults to now)
+     * @returns {number} Due count
+     */
+    getDueCount(pairKey, now = Date.now()) {
+        return this.getDuePhraseIds(pairKey, Infinity, now).length;
+    }
+
+    /**
+     * Export cards (for saving)
+     * @returns {Object} Cards by pair and phrase
+     */
+    exportCards() {
+        return this.cards;
+    }
+
+    /**
+     * Import cards (from a saved snapshot)
+     * @param {Object} cards - Cards by pair and phrase
+     */
+    importCards(cards) {
+        this.cards = cards && typeof cards === 'object' ? cards : {};
+    }
+}
+
+// Export for use in other modules
+window.ReviewScheduler = ReviewScheduler;
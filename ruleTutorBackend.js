@@ -0,0 +1,35 @@
+/**
+ * ============================================
+ * RULE TUTOR BACKEND
+ * ============================================
+ * Default tutor backend: the rule-based responder in LanguageEngine
+ *
+ * Works offline and always answers. Other backends use it as their fallback
+ * and for grading, so lesson progress never depends on a network service.
+ */
+
+class RuleTutorBackend extends TutorBackend {
+    /**
+     * @param {LanguageEngine} languageEngine - Rule-based responder
+     */
+    constructor(languageEngine) {
+        super('rules');
+        this.languageEngine = languageEngine;
+    }
+
+    /**
+     * Write the tutor's reply with the built-in rules
+     * @param {Object} request - See TutorBackend
+     * @returns {Promise<Object>} Teaching response
+     */
+    async respond(request) {
+        return this.languageEngine.analyzeAndRespond(
+            request.transcript,
+            request.context,
+            request.confidence
+        );
+    }
+}
+
+// Export for use in other modules
+window.RuleTutorBackend = RuleTutorBackend;
@@ -0,0 +1,205 @@
+/**
+ * ============================================
+ * SLOT EXTRACTOR
+ * ============================================
+ * Templated lesson phrases with slots the learner fills in themselves
+ *
+ * A phrase may hold slots in every translation:
+ * {"text": "My name is {name}", "es": "Me llamo {name}", "de": "Ich heiße {name}"}
+ *
+ * Slots: {name}, {number}, {place}, {time}
+ *
+ * The learner's words are aligned with the template: literal words are
+ * compared as usual, and each slot takes the words said in its place (at
+ * most MAX_SLOT_WORDS). Only the literal words are graded; the slot words
+ * are returned as values, e.g. { name: "Amina" }.
+ */
+
+class SlotExtractor {
+    /**
+     * Slot names a phrase may use
+     */
+    static SLOT_TYPES = ['name', 'number', 'place', 'time'];
+
+    /**
+     * Most words one slot takes ("Maria José", "New York", "half past three")
+     */
+    static MAX_SLOT_WORDS = 3;
+
+    /**
+     * Slots whose values are written with capitals
+     */
+    static CAPITALIZED_SLOTS = ['name', 'place'];
+
+    /**
+     * Placeholder for a slot without a value
+     */
+    static BLANK = '…';
+
+    /**
+     * @param {LanguageEngine} languageEngine - Text folding and word similarity
+     */
+    constructor(languageEngine) {
+        this.languageEngine = languageEngine;
+    }
+
+    /**
+     * Get the slot names in a text
+     * @param {string} text - Phrase or prompt text
+     * @returns {Array} Slot names in order ("{name}" -> "name")
+     */
+    getSlots(text) {
+        return (text.match(/\{(\w+)\}/g) || []).map(slot => slot.slice(1, -1));
+    }
+
+    /**
+     * @param {string} text - Phrase or prompt text
+     * @returns {boolean} True if the text has slots
+     */
+    hasSlots(text) {
+        return this.getSlots(text).length > 0;
+    }
+
+    /**
+     * Align what the learner said with a templated phrase
+     * @param {string} input - What the learner said
+     * @param {string} template - Phrase with slots
+     * @returns {Object} { said, expected, slots }: the learner's words outside
+     *   the slots, the template without its slots, and the slot values
+     */
+    match(input, template) {
+        const words = this.toWords(input);
+        const tokens = template
+            .split(/(\{\w+\})/)
+            .reduce((all, piece) => {
+                const slot = piece.match(/^\{(\w+)\}$/);
+                return all.concat(slot ? { slot: slot[1] } : this.toWords(piece).map(word => ({ word })));
+            }, []);
+
+        const steps = this.align(words, tokens);
+
+        const said = [];
+        const slots = {};
+        steps.forEach(step => {
+            if (step.slot) {
+                slots[step.slot] = this.formatValue(step.slot, step.words.map(word => word.raw));
+            } else if (step.word) {
+                said.push(step.word.raw);
+            }
+        });
+
+        return {
+            said: said.join(' '),
+            expected: tokens.filter(token => token.word).map(token => token.word.raw).join(' '),
+            slots
+        };
+    }
+
+    /**
+     * Split text into words, each kept as written (minus surrounding
+     * punctuation) and folded for comparison
+     * @param {string} text - Text
+     * @returns {Array} { raw, folded } words
+     */
+    toWords(text) {
+        return text
+            .split(/\s+/)
+            .map(raw => ({
+                raw: raw.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''),
+                folded: this.languageEngine.foldText(raw)
+            }))
+            .filter(word => word.folded);
+    }
+
+    /**
+     * Cheapest alignment of the learner's words with template tokens
+     * A literal word costs its character distance (1 if missing or extra);
+     * a slot is free when it takes 1 to MAX_SLOT_WORDS words, and costs 1 when empty
+     * @param {Array} words - { raw, folded } words the learner said
+     * @param {Array} tokens - { word } (a { raw, folded } word) or { slot } template tokens
+     * @returns {Array} Steps in order: { word } for learner words outside slots,
+     *   { slot, words } for filled slots
+     */
+    align(words, tokens) {
+        const rows = words.length + 1;
+        const cols = tokens.length + 1;
+        const table = Array.from({ length: rows }, () => new Array(cols).fill(Infinity));
+        const from = Array.from({ length: rows }, () => new Array(cols).fill(null));
+        table[0][0] = 0;
+
+        const relax = (i, j, cost, step) => {
+            if (cost < table[i][j]) {
+                table[i][j] = cost;
+                from[i][j] = step;
+            }
+        };
+
+        for (let i = 0; i < rows; i++) {
+            for (let j = 0; j < cols; j++) {
+                if (i > 0) {
+                    // Extra word
+                    relax(i, j, table[i - 1][j] + 1, { di: 1, dj: 0 });
+                }
+                if (j === 0) continue;
+
+                const token = tokens[j - 1];
+                // Missing word, or a slot left empty
+                relax(i, j, table[i][j - 1] + 1, { di: 0, dj: 1 });
+
+                if (token.slot) {
+                    for (let k = 1; k <= Math.min(i, SlotExtractor.MAX_SLOT_WORDS); k++) {
+                        relax(i, j, table[i - k][j - 1], { di: k, dj: 1, slot: token.slot });
+                    }
+                } else if (i > 0) {
+                    const distance = 1 - this.languageEngine.characterSimilarity(words[i - 1].folded, token.word.folded);
+                    relax(i, j, table[i - 1][j - 1] + distance, { di: 1, dj: 1 });
+                }
+            }
+        }
+
+        // Walk back from the end
+        const steps = [];
+        let i = rows - 1;
+        let j = cols - 1;
+        while (i > 0 || j > 0) {
+            const { di, dj, slot } = from[i][j];
+            if (slot) {
+                steps.unshift({ slot, words: words.slice(i - di, i) });
+            } else if (di === 1) {
+                steps.unshift({ word: words[i - 1] });
+            }
+            i -= di;
+            j -= dj;
+        }
+
+        return steps;
+    }
+
+    /**
+     * Write a slot value the way it is shown ("amina" -> "Amina")
+     * @param {string} slot - Slot name
+     * @param {Array} words - Words the learner said for the slot
+     * @returns {string} Slot value
+     */
+    formatValue(slot, words) {
+        if (!SlotExtractor.CAPITALIZED_SLOTS.includes(slot)) {
+            return words.join(' ');
+        }
+        return words
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+    }
+
+    /**
+     * Fill a template's slots
+     * @param {string} text - Text with slots
+     * @param {Object} values - Slot values by name
+     * @returns {string} Text with values (BLANK where a slot has none)
+     */
+    fill(text, values = {}) {
+        return text.replace(/\{(\w+)\}/g, (match, slot) => values[slot] || SlotExtractor.BLANK);
+    }
+}
+
+// Export for use in other modules
+window.SlotExtractor = SlotExtractor;
@@ -31,12 +31,15 @@ class StateManager {
     /**
      * Valid state transitions
      * Defines which states can transition to which other states
+     * (IDLE -> PROCESSING is the tutor speaking on its own: lesson intros
+     * and repeats the learner asks for; SPEAKING -> LISTENING is the
+     * learner interrupting the tutor)
      */
     static TRANSITIONS = {
-        IDLE: ['LISTENING'],
+        IDLE: ['LISTENING', 'PROCESSING'],
         LISTENING: ['PROCESSING', 'IDLE'],
         PROCESSING: ['SPEAKING', 'IDLE'],
-        SPEAKING: ['IDLE']
+        SPEAKING: ['IDLE', 'LISTENING']
     };
 
     constructor() {
@@ -0,0 +1,388 @@
+/**
+ * ============================================
+ * STORAGE MANAGER
+ * ============================================
+ * Persists learner data between page reloads
+ *
+ * Backends:
+ * - localStorage (default, synchronous, always tried first)
+ * - IndexedDB (optional, for larger histories)
+ * - Memory (fallback when the browser blocks storage)
+ *
+ * Schema:
+ * - Every saved record belongs to a named schema (progress, profiles, lessons, settings)
+ * - Every saved record carries a schemaVersion
+ * - Older records are upgraded step by step through the schema's migrations
+ * - Records from a newer app version are ignored, not overwritten blindly
+ */
+
+class LocalStorageAdapter {
+    constructor() {
+        this.name = 'localStorage';
+    }
+
+    /**
+     * Check if localStorage can be used (it throws in some private modes)
+     * @returns {boolean} True if available
+     */
+    static isAvailable() {
+        try {
+            const testKey = '__linguabridge_test__';
+            window.localStorage.setItem(testKey, '1');
+            window.localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async get(key) {
+        const raw = window.localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    async set(key, value) {
+        window.localStorage.setItem(key, JSON.stringify(value));
+    }
+
+    async remove(key) {
+        window.localStorage.removeItem(key);
+    }
+}
+
+class IndexedDBAdapter {
+    constructor(dbName = 'linguabridge', storeName = 'snapshots') {
+        this.name = 'indexedDB';
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Check if IndexedDB exists in this browser
+     * @returns {boolean} True if available
+     */
+    static isAvailable() {
+        return 'indexedDB' in window && window.indexedDB !== null;
+    }
+
+    /**
+     * Open (or create) the database once and reuse the connection
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request inside a transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the object store, returns an IDBRequest
+     * @returns {Promise} Resolves with the request result
+     */
+    async run(mode, operation) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async get(key) {
+        const value = await this.run('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    async set(key, value) {
+        await this.run('readwrite', store => store.put(value, key));
+    }
+
+    async remove(key) {
+        await this.run('readwrite', store => store.delete(key));
+    }
+}
+
+class MemoryAdapter {
+    constructor() {
+        this.name = 'memory';
+        this.data = {};
+    }
+
+    async get(key) {
+        return key in this.data ? JSON.parse(this.data[key]) : null;
+    }
+
+    async set(key, value) {
+        this.data[key] = JSON.stringify(value);
+    }
+
+    async remove(key) {
+        delete this.data[key];
+    }
+}
+
+class StorageManager {
+    /**
+     * Key the learner snapshot is stored under
+     * Per-profile snapshots append ".<profileId>"
+     */
+    static PROGRESS_KEY = 'linguabridge.progress';
+
+    /**
+     * Key the learner profile registry is stored under
+     */
+    static PROFILES_KEY = 'linguabridge.profiles';
+
+    /**
+     * Key the teacher lesson pack (from the lesson editor) is stored under
+     * Shared by every learner on the device
+     */
+    static LESSONS_KEY = 'linguabridge.lessons';
+
+    /**
+     * Key the device settings (speech input) are stored under
+     * Shared by every learner on the device
+     */
+    static SETTINGS_KEY = 'linguabridge.settings';
+
+    /**
+     * Schemas with their current version and migrations
+     * Bump a version and add a migration whenever that record shape changes.
+     * Migrations are keyed by the version they upgrade FROM; each one
+     * receives a record of that version and returns the next version.
+     */
+    static SCHEMAS = {
+        progress: {
+            version: 6,
+            migrations: {
+                // Version 0: a bare LessonEngine.exportProgress() payload
+                0: (data) => ({
+                    schemaVersion: 1,
+                    savedAt: data.timestamp || Date.now(),
+                    languages: null,
+                    lessons: {
+                        currentLesson: data.currentLesson,
+                        lessonProgress: data.lessonProgress || {}
+                    },
+                    conversationHistory: []
+                }),
+                // Version 1: before spaced-repetition review cards
+                1: (data) => ({
+                    ...data,
+                    schemaVersion: 2,
+                    lessons: { ...data.lessons, reviewCards: {} }
+                }),
+                // Version 2: phrasesCompleted was a raw success counter.
+                // It can't be mapped to phrases, so it restarts at 0;
+                // lessons already marked completed stay completed.
+                2: (data) => {
+                    const lessonProgress = {};
+                    Object.entries(data.lessons.lessonProgress || {}).forEach(([key, progress]) => {
+                        lessonProgress[key] = { ...progress, phrasesCompleted: 0, phrases: {} };
+                    });
+
+                    return {
+                        ...data,
+                        schemaVersion: 3,
+                        lessons: { ...data.lessons, lessonProgress }
+                    };
+                },
+                // Version 3: before per-language voice choices
+                3: (data) => ({
+                    ...data,
+                    schemaVersion: 4,
+                    voices: {}
+                }),
+                // Version 4: before the learner's phrase speed (null = default)
+                4: (data) => ({
+                    ...data,
+                    schemaVersion: 5,
+                    phraseRate: null
+                }),
+                // Version 5: one lessonProgress for every language pair. It
+                // goes to the saved pair (the default pair if none was saved),
+                // where it was most likely earned.
+                5: (data) => {
+                    const { native, learning } = data.languages || { native: 'en', learning: 'es' };
+
+                    return {
+                        ...data,
+                        schemaVersion: 6,
+                        lessons: {
+                            ...data.lessons,
+                            lessonProgress: { [`${native}-${learning}`]: data.lessons.lessonProgress || {} }
+                        }
+                    };
+                }
+            }
+        },
+        profiles: {
+            version: 1,
+            migrations: {}
+        },
+        // { pack }: the pack keeps its own schemaVersion for LessonPackLoader
+        lessons: {
+            version: 1,
+            migrations: {}
+        },
+        // { recognition }: VoiceEngine recognition setting
+        settings: {
+            version: 1,
+            migrations: {}
+        }
+    };
+
+    /**
+     * @param {Object} options
+     * @param {string} options.backend - 'localStorage' (default) or 'indexedDB'
+     */
+    constructor(options = {}) {
+        this.adapter = this.createAdapter(options.backend || 'localStorage');
+        this.log(`Storage Manager initialized (${this.adapter.name})`);
+    }
+
+    /**
+     * Pick the requested backend, falling back when it is unavailable
+     * @param {string} backend - Requested backend name
+     * @returns {Object} Storage adapter
+     */
+    createAdapter(backend) {
+        if (backend === 'indexedDB' && IndexedDBAdapter.isAvailable()) {
+            return new IndexedDBAdapter();
+        }
+
+        if (LocalStorageAdapter.isAvailable()) {
+            return new LocalStorageAdapter();
+        }
+
+        this.log('Persistent storage unavailable - progress will not survive reloads', 'warn');
+        return new MemoryAdapter();
+    }
+
+    /**
+     * Save a record, stamping it with its schema's current version
+     * @param {string} key - Storage key
+     * @param {Object} data - Record to save
+     * @param {string} schema - Schema name (default 'progress')
+     * @returns {Promise<boolean>} True if saved
+     */
+    async save(key, data, schema = 'progress') {
+        const snapshot = {
+            ...data,
+            schemaVersion: StorageManager.SCHEMAS[schema].version,
+            savedAt: Date.now()
+        };
+
+        try {
+            await this.adapter.set(key, snapshot);
+            return true;
+        } catch (error) {
+            this.log(`Failed to save "${key}": ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Load a record and upgrade it to its schema's current version
+     * @param {string} key - Storage key
+     * @param {string} schema - Schema name (default 'progress')
+     * @returns {Promise<Object|null>} Record, or null if missing or unreadable
+     */
+    async load(key, schema = 'progress') {
+        let data;
+
+        try {
+            data = await this.adapter.get(key);
+        } catch (error) {
+            this.log(`Failed to load "${key}": ${error.message}`, 'error');
+            return null;
+        }
+
+        if (!data) return null;
+
+        return this.migrate(data, schema);
+    }
+
+    /**
+     * Remove a record
+     * @param {string} key - Storage key
+     */
+    async remove(key) {
+        try {
+            await this.adapter.remove(key);
+        } catch (error) {
+            this.log(`Failed to remove "${key}": ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Run migrations until the record reaches its schema's current version
+     * @param {Object} data - Loaded record
+     * @param {string} schema - Schema name
+     * @returns {Object|null} Upgraded record, or null if it cannot be used
+     */
+    migrate(data, schema) {
+        const { version: currentVersion, migrations } = StorageManager.SCHEMAS[schema];
+        let version = typeof data.schemaVersion === 'number' ? data.schemaVersion : 0;
+
+        if (version > currentVersion) {
+            this.log(`Saved ${schema} data uses newer schema v${version} - ignoring it`, 'warn');
+            return null;
+        }
+
+        let migrated = data;
+        while (version < currentVersion) {
+            const migration = migrations[version];
+            if (!migration) {
+                this.log(`No ${schema} migration from schema v${version}`, 'error');
+                return null;
+            }
+
+            migrated = migration(migrated);
+            version++;
+            this.log(`Migrated saved ${schema} data to schema v${version}`);
+        }
+
+        return migrated;
+    }
+
+    /**
+     * Log storage manager information
+     * @param {string} message - Message to log
+     * @param {string} level - Log level
+     */
+    log(message, level = 'info') {
+        const prefix = '[StorageManager]';
+        const timestamp = new Date().toLocaleTimeString();
+
+        switch (level) {
+            case 'error':
+                console.error(`${prefix} ${timestamp} - ${message}`);
+                break;
+            case 'warn':
+                console.warn(`${prefix} ${timestamp} - ${message}`);
+                break;
+            default:
+                console.log(`${prefix} ${timestamp} - ${message}`);
+        }
+    }
+}
+
+// Export for use in other modules
+window.StorageManager = StorageManager;
@@ -0,0 +1,125 @@
+/**
+ * ============================================
+ * SYNTHESIS PROVIDER
+ * ============================================
+ * Interface for whatever reads the tutor's replies aloud
+ *
+ * A provider implements:
+ * - isAvailable()                   can it run in this browser
+ * - supportsLanguage(locale)        does it have a voice for the language
+ * - getVoices(locale)               voices for the language, as { id, name, lang }
+ * - speak(text, options)            resolves when speech ends, rejects on
+ *                                   errors and when cancelled ('interrupted')
+ *     options: { locale, voice, rate, pitch, volume } (voice null = provider default)
+ * - cancel()                        stop speaking now
+ * - isSpeaking()
+ *
+ * Handler the VoiceEngine may assign:
+ * - onvoiceschanged()               the voice list changed (voices load late)
+ *
+ * Providers: WebSpeechSynthesisProvider (browser/system voices),
+ * PiperSynthesisProvider (offline, local WASM voices)
+ */
+
+class SynthesisProvider {
+    /**
+     * @param {string} name - Provider name (voice keys and log messages)
+     * @param {boolean} offline - True if text never leaves the device
+     */
+    constructor(name, offline) {
+        this.name = name;
+        this.offline = offline;
+
+        this.onvoiceschanged = null;
+    }
+
+    /**
+     * @returns {boolean} True if the provider can run in this browser
+     */
+    isAvailable() {
+        return false;
+    }
+
+    /**
+     * @param {string} locale - BCP-47 locale (e.g. 'es-ES')
+     * @returns {boolean} True if the provider can speak this language
+     */
+    supportsLanguage(locale) {
+        return this.getVoices(locale).length > 0;
+    }
+
+    /**
+     * Get the voices for a language
+     * @param {string} locale - BCP-47 locale
+     * @returns {Array} Voices as { id, name, lang }
+     */
+    getVoices(locale) {
+        return [];
+    }
+
+    /**
+     * Speak text
+     * @param {string} text - Text to speak
+     * @param {Object} options - { locale, voice, rate, pitch, volume }
+     * @returns {Promise} Resolves when speech finishes
+     */
+    async speak(text, options) {
+        throw new Error(`Synthesis provider "${this.name}" does not implement speak()`);
+    }
+
+    /**
+     * Stop speaking
+     */
+    cancel() {}
+
+    /**
+     * @returns {boolean} True while speaking
+     */
+    isSpeaking() {
+        return false;
+    }
+
+    /**
+     * Get the language part of a locale
+     * @param {string} locale - BCP-47 locale ('es-ES', 'es_ES' or 'es')
+     * @returns {string} Lowercase language code ('es')
+     */
+    getLanguage(locale) {
+        return locale.replace('_', '-').split('-')[0].toLowerCase();
+    }
+
+    /**
+     * Call a handler if one is assigned
+     * @param {string} handler - Handler name
+     * @param {...*} args - Handler arguments
+     */
+    emit(handler, ...args) {
+        if (typeof this[handler] === 'function') {
+            this[handler](...args);
+        }
+    }
+
+    /**
+     * Log synthesis provider information
+     * @param {string} message - Message to log
+     * @param {string} level - Log level
+     */
+    log(message, level = 'info') {
+        const prefix = `[${this.constructor.name}]`;
+        const timestamp = new Date().toLocaleTimeString();
+
+        switch (level) {
+            case 'error':
+                console.error(`${prefix} ${timestamp} - ${message}`);
+                break;
+            case 'warn':
+                console.warn(`${prefix} ${timestamp} - ${message}`);
+                break;
+            default:
+                console.log(`${prefix} ${timestamp} - ${message}`);
+        }
+    }
+}
+
+// Export for use in other modules
+window.SynthesisProvider = SynthesisProvider;
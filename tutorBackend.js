@@ -0,0 +1,68 @@
+/**
+ * ============================================
+ * TUTOR BACKEND
+ * ============================================
+ * Interface for whatever writes the tutor's replies
+ *
+ * A backend implements respond(request), which resolves with a response.
+ *
+ * Request:
+ * {
+ *   transcript: "hola amigo",          (what the learner said or typed)
+ *   context: { ... },                  (LessonEngine.getContext())
+ *   history: [{ input, timestamp }],   (earlier learner turns, oldest first)
+ *   confidence: 0.92,                  (recognizer confidence, null for typed answers)
+ *   languages: { native, learning }    (language codes)
+ * }
+ *
+ * Response (same shape as LanguageEngine.analyzeAndRespond()):
+ * {
+ *   correction, explanation, encouragement, nextPrompt,   (text, each may be null)
+ *   languages: { correction, ..., nextPrompt },           (language code each text is written in)
+ *   diff, grade, intent, type                             (see LanguageEngine)
+ * }
+ *
+ * Backends: RuleTutorBackend (default), OpenAITutorBackend
+ */
+
+class TutorBackend {
+    /**
+     * @param {string} name - Backend name (for log messages)
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Write the tutor's reply to one learner turn
+     * @param {Object} request - Transcript, context, history, confidence and languages
+     * @returns {Promise<Object>} Teaching response
+     */
+    async respond(request) {
+        throw new Error(`Tutor backend "${this.name}" does not implement respond()`);
+    }
+
+    /**
+     * Log tutor backend information
+     * @param {string} message - Message to log
+     * @param {string} level - Log level
+     */
+    log(message, level = 'info') {
+        const prefix = `[${this.constructor.name}]`;
+        const timestamp = new Date().toLocaleTimeString();
+
+        switch (level) {
+            case 'error':
+                console.error(`${prefix} ${timestamp} - ${message}`);
+                break;
+            case 'warn':
+                console.warn(`${prefix} ${timestamp} - ${message}`);
+                break;
+            default:
+                console.log(`${prefix} ${timestamp} - ${message}`);
+        }
+    }
+}
+
+// Export for use in other modules
+window.TutorBackend = TutorBackend;
@@ -14,37 +14,89 @@
  */
 
 class UIEngine {
-    constructor(stateManager) {
+    /**
+     * @param {StateManager} stateManager - Voice state
+     * @param {LanguageRegistry} registry - Interface messages (read from HTML if omitted)
+     */
+    constructor(stateManager, registry = null) {
         this.stateManager = stateManager;
+        this.registry = registry || new LanguageRegistry();
         
         // Cache DOM elements
         this.elements = {
             chatContainer: document.getElementById('chatContainer'),
             micButton: document.getElementById('micButton'),
+            textInputForm: document.getElementById('textInputForm'),
+            textInput: document.getElementById('textInput'),
+            textSendButton: document.getElementById('textSendButton'),
+            inputModeToggle: document.getElementById('inputModeToggle'),
             statusText: document.getElementById('statusText'),
             statusDot: document.querySelector('.status-dot'),
             hintText: document.getElementById('hintText'),
             nativeLangSelect: document.getElementById('native-lang'),
             learningLangSelect: document.getElementById('learning-lang'),
-            lessonButtons: document.querySelectorAll('.lesson-btn')
+            recognitionSelect: document.getElementById('recognition-setting'),
+            learningVoiceSelect: document.getElementById('learning-voice'),
+            learningVoiceLabel: document.getElementById('learningVoiceLabel'),
+            nativeVoiceSelect: document.getElementById('native-voice'),
+            nativeVoiceLabel: document.getElementById('nativeVoiceLabel'),
+            phraseRateSelect: document.getElementById('phrase-rate'),
+            profileAvatar: document.getElementById('profileButtonAvatar'),
+            profileName: document.getElementById('profileButtonName'),
+            lessonNav: document.getElementById('lessonNav')
         };
 
+        // Interface text is written in the native language; the labels
+        // below are message keys (see LanguageRegistry.getMessage())
+
         // State labels for display
         this.stateLabels = {
-            IDLE: 'Ready',
-            LISTENING: 'Listening...',
-            PROCESSING: 'Processing...',
-            SPEAKING: 'Speaking...'
+            IDLE: 'state_idle',
+            LISTENING: 'state_listening',
+            PROCESSING: 'state_processing',
+            SPEAKING: 'state_speaking'
         };
 
         // State hints
         this.stateHints = {
-            IDLE: 'Click the microphone to speak',
-            LISTENING: 'Speak now...',
-            PROCESSING: 'Analyzing your response...',
-            SPEAKING: 'Playing response...'
+            IDLE: 'hint_idle',
+            LISTENING: 'hint_listening',
+            PROCESSING: 'hint_processing',
+            SPEAKING: 'hint_speaking'
         };
 
+        // Speech input settings (see VoiceEngine.RECOGNITION_SETTINGS)
+        this.recognitionLabels = {
+            auto: 'recognition_auto',
+            offline: 'recognition_offline',
+            webspeech: 'recognition_webspeech'
+        };
+
+        // Idle hint when typing instead of speaking
+        this.textModeIdleHint = 'hint_typing';
+        this.textModeSpeakingHint = 'hint_typing_speaking';
+
+        // Current input mode: 'voice' or 'text'
+        this.inputMode = 'voice';
+
+        // Lesson navigation state (kept across re-renders)
+        this.activeLesson = null;
+        this.reviewDueCount = 0;
+        this.reviewButton = { key: LessonEngine.REVIEW_KEY, icon: '🔁', title: 'review_title' };
+
+        // Language and text direction of chat text, as { code, dir }
+        this.textLanguages = {
+            native: { code: 'en', dir: 'ltr' },
+            learning: { code: 'es', dir: 'ltr' }
+        };
+
+        // Sentence breaks: whitespace after a full stop, question or
+        // exclamation mark (Latin, Ethiopic, Arabic and Urdu-style marks)
+        this.sentenceBreak = /(?<=[.!?።؟۔])\s+/;
+
+        // Quoted phrases are isolated so they keep their own direction
+        this.quotedPhrase = /("[^"]+")/;
+
         // Listen for state changes
         this.stateManager.addListener((prev, current) => this.onStateChange(prev, current));
 
@@ -65,6 +117,9 @@ class UIEngine {
         // Update microphone button
         this.updateMicButton(newState);
 
+        // Typed answers are only accepted when idle
+        this.updateTextInput(newState);
+
         // Update hint text
         this.updateHint(newState);
     }
@@ -77,7 +132,7 @@ class UIEngine {
         const { statusText, statusDot } = this.elements;
 
         // Update text
-        statusText.textContent = this.stateLabels[state] || 'Unknown';
+        statusText.textContent = this.stateLabels[state] ? this.getMessage(this.stateLabels[state]) : state;
 
         // Update dot classes
         statusDot.classList.remove('listening', 'speaking', 'processing');
@@ -121,7 +176,95 @@ class UIEngine {
      */
     updateHint(state) {
         const { hintText } = this.elements;
-        hintText.textContent = this.stateHints[state] || '';
+
+        if (state === StateManager.STATES.IDLE && this.inputMode === 'text') {
+            hintText.textContent = this.getMessage(this.textModeIdleHint);
+            return;
+        }
+
+        // The microphone is hidden while typing, so there is nothing to click
+        if (state === StateManager.STATES.SPEAKING && this.inputMode === 'text') {
+            hintText.textContent = this.getMessage(this.textModeSpeakingHint);
+            return;
+        }
+
+        hintText.textContent = this.stateHints[state] ? this.getMessage(this.stateHints[state]) : '';
+    }
+
+    /**
+     * Enable the text input only in IDLE state
+     * @param {string} state - Current state
+     */
+    updateTextInput(state) {
+        const { textInput, textSendButton } = this.elements;
+        const idle = state === StateManager.STATES.IDLE;
+
+        textInput.disabled = !idle;
+        textSendButton.disabled = !idle;
+
+        // Give focus back after a response so the learner can keep typing
+        if (idle && this.inputMode === 'text') {
+            textInput.focus();
+        }
+    }
+
+    /**
+     * Switch between the microphone and the keyboard
+     * @param {string} mode - 'voice' or 'text'
+     * @param {boolean} voiceAvailable - False hides the switch back to voice
+     */
+    setInputMode(mode, voiceAvailable = true) {
+        const { micButton, textInputForm, textInput, inputModeToggle } = this.elements;
+
+        this.inputMode = mode;
+
+        micButton.classList.toggle('hidden', mode === 'text');
+        textInputForm.classList.toggle('hidden', mode !== 'text');
+
+        this.updateInputModeToggle();
+        inputModeToggle.classList.toggle('hidden', mode === 'text' && !voiceAvailable);
+
+        this.updateHint(this.stateManager.getState());
+
+        if (mode === 'text') {
+            textInput.focus();
+        }
+    }
+
+    /**
+     * Label the voice/keyboard switch with the mode it switches to
+     */
+    updateInputModeToggle() {
+        this.elements.inputModeToggle.textContent = this.inputMode === 'text'
+            ? `🎤 ${this.getMessage('speak_instead')}`
+            : `⌨️ ${this.getMessage('type_instead')}`;
+    }
+
+    /**
+     * Get the current input mode
+     * @returns {string} 'voice' or 'text'
+     */
+    getInputMode() {
+        return this.inputMode;
+    }
+
+    /**
+     * Take the typed answer and clear the input
+     * @returns {string} Trimmed text
+     */
+    takeTextInput() {
+        const { textInput } = this.elements;
+        const text = textInput.value.trim();
+        textInput.value = '';
+        return text;
+    }
+
+    /**
+     * Show a practice prompt as the text input placeholder
+     * @param {string} prompt - Prompt text
+     */
+    setTextPlaceholder(prompt) {
+        this.elements.textInput.placeholder = prompt;
     }
 
     /**
@@ -137,14 +280,21 @@ class UIEngine {
 
     /**
      * Add a message to the chat
-     * @param {string} text - Message text
+     * Assistant messages are written in the native language; learner messages
+     * in the learning language
+     * @param {string|Array} text - Message text, or parts as { text, lang, role }
      * @param {string} sender - 'user' or 'assistant'
      * @param {boolean} animate - Whether to show typing animation
+     * @param {Object} options - Extra content
+     * @param {Object} options.diff - Word diff from LanguageEngine.diffWords()
+     * @param {Object} options.repeat - Phrase the learner can hear again
+     *   slowly, as { text, lang } (lang is a BCP-47 locale)
      */
-    addMessage(text, sender = 'assistant', animate = false) {
+    addMessage(text, sender = 'assistant', animate = false, options = {}) {
         this.clearWelcome();
 
         const { chatContainer } = this.elements;
+        const language = sender === 'user' ? this.textLanguages.learning : this.textLanguages.native;
 
         // Create message container
         const messageDiv = document.createElement('div');
@@ -158,6 +308,8 @@ class UIEngine {
         // Create content container
         const content = document.createElement('div');
         content.className = 'message-content';
+        content.lang = language.code;
+        content.dir = language.dir;
 
         messageDiv.appendChild(avatar);
         messageDiv.appendChild(content);
@@ -165,11 +317,30 @@ class UIEngine {
         // Add to chat
         chatContainer.appendChild(messageDiv);
         
+        // Show the word diff and repeat button once the text is in place
+        const appendExtras = () => {
+            if (options.diff) {
+                content.appendChild(this.renderDiff(options.diff));
+            }
+            if (options.repeat) {
+                content.appendChild(this.renderRepeatButton(options.repeat));
+            }
+            if (options.diff || options.repeat) {
+                this.scrollToBottom();
+            }
+        };
+
+        // Learner text is tagged with the learning language
+        const parts = Array.isArray(text)
+            ? text
+            : [{ text, lang: sender === 'user' ? language.code : null }];
+
         // Show text (with or without animation)
         if (animate && sender === 'assistant') {
-            this.typewriterEffect(content, text);
+            this.typewriterEffect(content, parts, 30, appendExtras);
         } else {
-            content.innerHTML = this.formatMessageText(text);
+            content.append(...this.formatMessageText(parts));
+            appendExtras();
         }
 
         // Scroll to bottom
@@ -177,58 +348,149 @@ class UIEngine {
     }
 
     /**
-     * Format message text with styling
-     * @param {string} text - Raw text
-     * @returns {string} Formatted HTML
+     * Format message text into paragraphs, one per sentence
+     * A part in a known language gets that language's direction; other parts
+     * follow their first strong character. Quoted phrases are bidi-isolated
+     * so a target phrase inside a right-to-left sentence keeps its own order.
+     * @param {Array} parts - Parts as { text, lang, role }
+     * @returns {Array} Paragraph elements
      */
-    formatMessageText(text) {
-        // Split into sections if response has structure
-        const lines = text.split('. ').filter(line => line.trim());
-        
-        if (lines.length <= 1) {
-            return `<p class="message-text">${text}</p>`;
-        }
+    formatMessageText(parts) {
+        const directions = {
+            [this.textLanguages.native.code]: this.textLanguages.native.dir,
+            [this.textLanguages.learning.code]: this.textLanguages.learning.dir
+        };
+        const paragraphs = [];
+
+        parts.forEach(part => {
+            const createParagraph = () => {
+                const p = document.createElement('p');
+                p.className = part.role ? `message-text ${part.role}` : 'message-text';
+                if (part.lang) {
+                    p.lang = part.lang;
+                }
+                p.dir = directions[part.lang] || 'auto';
+                paragraphs.push(p);
+                return p;
+            };
+
+            // Sentences only break outside quotes
+            let p = createParagraph();
+            part.text.trim().split(this.quotedPhrase).forEach((piece, index) => {
+                if (index % 2 === 1) {
+                    const bdi = document.createElement('bdi');
+                    bdi.textContent = piece;
+                    p.appendChild(bdi);
+                    return;
+                }
+
+                piece.split(this.sentenceBreak).forEach((sentence, sentenceIndex) => {
+                    if (sentenceIndex > 0) {
+                        p = createParagraph();
+                    }
+                    if (sentence) {
+                        p.appendChild(document.createTextNode(sentence));
+                    }
+                });
+            });
+        });
+
+        return paragraphs;
+    }
+
+    /**
+     * Render a word diff with colored highlights
+     * Words are shown in the expected phrase order; extra words are shown
+     * where they were said
+     * @param {Object} diff - Word diff from LanguageEngine.diffWords()
+     * @returns {HTMLElement} Diff element
+     */
+    renderDiff(diff) {
+        const container = document.createElement('p');
+        container.className = 'message-diff';
+
+        diff.words.forEach(word => {
+            const span = document.createElement('span');
+            span.className = `diff-word diff-${word.type}`;
+            span.textContent = word.type === 'extra' ? word.actual : word.expected;
+
+            if (word.note) {
+                span.title = word.note;
+            }
+
+            // Show what was heard under a misheard word
+            if (word.type === 'misspelled' || word.type === 'wrong') {
+                const heard = document.createElement('span');
+                heard.className = 'diff-heard';
+                heard.textContent = word.actual;
+                span.appendChild(heard);
+            }
 
-        // Create paragraphs for better readability
-        return lines.map(line => {
-            // Add period back if missing
-            const formatted = line.trim().endsWith('.') ? line : line + '.';
-            return `<p class="message-text">${formatted}</p>`;
-        }).join('');
+            container.appendChild(span);
+        });
+
+        return container;
+    }
+
+    /**
+     * Render the "repeat slowly" button of an assistant message
+     * Clicks are handled by the app (delegated on the chat container)
+     * @param {Object} repeat - Phrase as { text, lang }
+     * @returns {HTMLElement} Button element
+     */
+    renderRepeatButton(repeat) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'repeat-btn';
+        button.dataset.text = repeat.text;
+        button.dataset.lang = repeat.lang;
+        button.title = this.getMessage('repeat_slowly_title', { phrase: repeat.text });
+        button.textContent = `🐢 ${this.getMessage('repeat_slowly')}`;
+        return button;
     }
 
     /**
      * Typewriter effect for assistant messages
+     * Paragraph markup (direction, isolated phrases) is in place before typing
+     * starts, so text never reflows between directions while it appears
      * @param {HTMLElement} element - Element to type into
-     * @param {string} text - Text to type
+     * @param {Array} parts - Parts as { text, lang, role }
      * @param {number} speed - Typing speed in ms
+     * @param {Function} onComplete - Called when typing finishes (optional)
      */
-    typewriterEffect(element, text, speed = 30) {
-        let index = 0;
-        const formatted = this.formatMessageText(text);
-        
-        // Create a temporary container
-        const temp = document.createElement('div');
-        temp.innerHTML = formatted;
-        const paragraphs = temp.querySelectorAll('p');
+    typewriterEffect(element, parts, speed = 30, onComplete = null) {
+        const paragraphs = this.formatMessageText(parts);
 
         // Type each paragraph
         let currentP = 0;
         
         const typeNextParagraph = () => {
-            if (currentP >= paragraphs.length) return;
+            if (currentP >= paragraphs.length) {
+                if (onComplete) onComplete();
+                return;
+            }
 
-            const p = document.createElement('p');
-            p.className = 'message-text';
+            const p = paragraphs[currentP];
+            const walker = document.createTreeWalker(p, NodeFilter.SHOW_TEXT);
+            const textNodes = [];
+            while (walker.nextNode()) {
+                textNodes.push(walker.currentNode);
+            }
+            const texts = textNodes.map(node => node.data);
+            textNodes.forEach(node => { node.data = ''; });
             element.appendChild(p);
 
-            const paragraphText = paragraphs[currentP].textContent;
+            let nodeIndex = 0;
             let charIndex = 0;
 
             const typeChar = () => {
-                if (charIndex < paragraphText.length) {
-                    p.textContent += paragraphText.charAt(charIndex);
+                if (nodeIndex < textNodes.length) {
+                    textNodes[nodeIndex].data += texts[nodeIndex].charAt(charIndex);
                     charIndex++;
+                    if (charIndex >= texts[nodeIndex].length) {
+                        nodeIndex++;
+                        charIndex = 0;
+                    }
                     this.scrollToBottom();
                     setTimeout(typeChar, speed);
                 } else {
@@ -295,20 +557,162 @@ class UIEngine {
         chatContainer.scrollTop = chatContainer.scrollHeight;
     }
 
+    /**
+     * Render the lesson navigation, followed by the review button
+     * Existing buttons are updated in place so they don't replay their
+     * entrance animation on every progress change.
+     * @param {Array} lessons - LessonEngine.getAllLessonsMetadata()
+     */
+    renderLessonNav(lessons) {
+        const { lessonNav } = this.elements;
+        const existing = {};
+
+        lessonNav.querySelectorAll('.lesson-btn').forEach(button => {
+            existing[button.dataset.lesson] = button;
+        });
+
+        [...lessons, this.reviewButton].forEach((lesson, index) => {
+            const button = existing[lesson.key] || this.createLessonButton(lesson.key);
+            delete existing[lesson.key];
+
+            if (lesson.key === this.reviewButton.key) {
+                this.updateReviewButton(button);
+            } else {
+                this.updateLessonButton(button, lesson);
+            }
+
+            if (lessonNav.children[index] !== button) {
+                lessonNav.insertBefore(button, lessonNav.children[index] || null);
+            }
+        });
+
+        // Lessons that no longer exist
+        Object.values(existing).forEach(button => button.remove());
+    }
+
+    /**
+     * Create an empty lesson button
+     * @param {string} lessonKey - Lesson key
+     * @returns {HTMLElement} Button
+     */
+    createLessonButton(lessonKey) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'lesson-btn';
+        button.dataset.lesson = lessonKey;
+
+        const icon = document.createElement('span');
+        icon.className = 'lesson-icon';
+
+        const label = document.createElement('span');
+        label.className = 'lesson-label';
+
+        button.appendChild(icon);
+        button.appendChild(label);
+
+        if (lessonKey === this.reviewButton.key) {
+            button.classList.add('review-btn');
+
+            const count = document.createElement('span');
+            count.className = 'review-count hidden';
+            button.appendChild(count);
+        } else {
+            const badge = document.createElement('span');
+            badge.className = 'lesson-badge hidden';
+
+            const progress = document.createElement('span');
+            progress.className = 'lesson-progress';
+            const bar = document.createElement('span');
+            bar.className = 'lesson-progress-bar';
+            progress.appendChild(bar);
+
+            button.appendChild(badge);
+            button.appendChild(progress);
+        }
+
+        return button;
+    }
+
+    /**
+     * Fill a lesson button from lesson metadata
+     * @param {HTMLElement} button - Lesson button
+     * @param {Object} lesson - Lesson metadata
+     */
+    updateLessonButton(button, lesson) {
+        const percent = lesson.phraseCount > 0
+            ? Math.round((lesson.phrasesCompleted / lesson.phraseCount) * 100)
+            : 0;
+        const badge = button.querySelector('.lesson-badge');
+
+        button.querySelector('.lesson-icon').textContent = lesson.icon || '📘';
+        button.querySelector('.lesson-label').textContent = lesson.title;
+        button.querySelector('.lesson-progress-bar').style.width = `${percent}%`;
+
+        button.classList.toggle('active', lesson.key === this.activeLesson);
+        button.classList.toggle('started', lesson.started && !lesson.completed);
+        button.classList.toggle('completed', lesson.completed);
+
+        // Completed beats started; new lessons have no badge
+        badge.textContent = lesson.completed ? '✓' : '•';
+        badge.classList.toggle('hidden', !lesson.started && !lesson.completed);
+
+        const status = lesson.completed ? 'lesson_completed' : (lesson.started ? 'lesson_started' : 'lesson_not_started');
+        button.title = this.getMessage('lesson_progress', {
+            title: lesson.title,
+            mastered: lesson.phrasesCompleted,
+            total: lesson.phraseCount,
+            status: this.getMessage(status)
+        });
+        button.setAttribute('aria-label', button.title);
+    }
+
+    /**
+     * Fill the review button, including the due count
+     * @param {HTMLElement} button - Review button
+     */
+    updateReviewButton(button) {
+        const count = this.reviewDueCount;
+        const countElement = button.querySelector('.review-count');
+
+        button.querySelector('.lesson-icon').textContent = this.reviewButton.icon;
+        button.querySelector('.lesson-label').textContent = this.getMessage(this.reviewButton.title);
+        button.classList.toggle('active', this.reviewButton.key === this.activeLesson);
+
+        countElement.textContent = count > 99 ? '99+' : String(count);
+        countElement.classList.toggle('hidden', count === 0);
+    }
+
     /**
      * Update active lesson button
      * @param {string} lessonKey - Active lesson key
      */
     setActiveLesson(lessonKey) {
-        this.elements.lessonButtons.forEach(btn => {
-            if (btn.dataset.lesson === lessonKey) {
-                btn.classList.add('active');
+        this.activeLesson = lessonKey;
+
+        this.elements.lessonNav.querySelectorAll('.lesson-btn').forEach(btn => {
+            const active = btn.dataset.lesson === lessonKey;
+            btn.classList.toggle('active', active);
+            if (active) {
+                btn.setAttribute('aria-current', 'true');
             } else {
-                btn.classList.remove('active');
+                btn.removeAttribute('aria-current');
             }
         });
     }
 
+    /**
+     * Show how many phrases are due for review
+     * @param {number} count - Due phrase count
+     */
+    setReviewCount(count) {
+        this.reviewDueCount = count;
+
+        const button = this.elements.lessonNav.querySelector(`[data-lesson="${this.reviewButton.key}"]`);
+        if (button) {
+            this.updateReviewButton(button);
+        }
+    }
+
     /**
      * Show an error message
      * @param {string} message - Error message
@@ -336,6 +740,185 @@ class UIEngine {
         };
     }
 
+    /**
+     * Fill both language selects
+     * @param {Object} languages - { native, learning } option lists, each as { code, name }
+     * @param {Object} selected - Initial { native, learning } codes
+     */
+    setLanguageOptions(languages, selected) {
+        const { nativeLangSelect, learningLangSelect } = this.elements;
+
+        [[nativeLangSelect, languages.native], [learningLangSelect, languages.learning]].forEach(([select, options]) => {
+            select.innerHTML = '';
+            options.forEach(({ code, name }) => {
+                const option = document.createElement('option');
+                option.value = code;
+                option.textContent = name;
+                select.appendChild(option);
+            });
+        });
+
+        this.setLanguageSelections(selected.native, selected.learning);
+    }
+
+    /**
+     * Fill the speech input setting select
+     * Settings that can't run in this browser are shown but disabled
+     * @param {Array} settings - { value, available } recognition settings
+     * @param {string} selected - Selected setting
+     */
+    setRecognitionOptions(settings, selected) {
+        const { recognitionSelect } = this.elements;
+
+        recognitionSelect.innerHTML = '';
+        settings.forEach(({ value, available }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = this.recognitionLabels[value] ? this.getMessage(this.recognitionLabels[value]) : value;
+            option.disabled = !available;
+            recognitionSelect.appendChild(option);
+        });
+
+        recognitionSelect.value = selected;
+    }
+
+    /**
+     * @returns {string} Selected speech input setting
+     */
+    getRecognitionSetting() {
+        return this.elements.recognitionSelect.value;
+    }
+
+    /**
+     * Fill a voice picker
+     * @param {string} role - 'learning' or 'native'
+     * @param {string} languageName - Name of the language the voice speaks
+     * @param {Array} voices - { key, name } voices for the language
+     * @param {string|null} selected - Chosen voice key (null = default voice)
+     */
+    setVoiceOptions(role, languageName, voices, selected) {
+        const select = this.elements[`${role}VoiceSelect`];
+        const label = this.elements[`${role}VoiceLabel`];
+
+        label.textContent = this.getMessage('voice_label', { language: languageName });
+        select.innerHTML = '';
+
+        [{ key: '', name: this.getMessage('voice_default') }, ...voices].forEach(({ key, name }) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+
+        select.value = voices.some(voice => voice.key === selected) ? selected : '';
+    }
+
+    /**
+     * @param {string} role - 'learning' or 'native'
+     * @returns {string|null} Voice key picked for that language (null = default voice)
+     */
+    getVoiceSelection(role) {
+        return this.elements[`${role}VoiceSelect`].value || null;
+    }
+
+    /**
+     * Show the learner's phrase speed
+     * Picks the closest option, so rates saved by other versions still show
+     * @param {number} rate - Speech rate
+     */
+    setPhraseRate(rate) {
+        const { phraseRateSelect } = this.elements;
+        const closest = Array.from(phraseRateSelect.options).reduce((best, option) => (
+            Math.abs(parseFloat(option.value) - rate) < Math.abs(parseFloat(best.value) - rate) ? option : best
+        ));
+
+        phraseRateSelect.value = closest.value;
+    }
+
+    /**
+     * @returns {number} Phrase speed picked by the learner
+     */
+    getPhraseRate() {
+        return parseFloat(this.elements.phraseRateSelect.value);
+    }
+
+    /**
+     * Set the languages chat text is written in
+     * The document takes the native language's direction, and the
+     * interface is rewritten in the native language
+     * @param {Object} native - Native language as { code, dir }
+     * @param {Object} learning - Learning language as { code, dir }
+     */
+    setTextLanguages(native, learning) {
+        this.textLanguages = { native, learning };
+
+        document.documentElement.lang = native.code;
+        document.documentElement.dir = native.dir;
+
+        this.translateInterface();
+    }
+
+    /**
+     * Rewrite the interface text in the native language
+     * Static text in index.html is marked with data-message="<message key>";
+     * the lesson navigation and voice pickers are re-rendered by the app
+     */
+    translateInterface() {
+        const state = this.stateManager.getState();
+
+        document.querySelectorAll('[data-message]').forEach(element => {
+            element.textContent = this.getMessage(element.dataset.message);
+        });
+
+        Array.from(this.elements.recognitionSelect.options).forEach(option => {
+            if (this.recognitionLabels[option.value]) {
+                option.textContent = this.getMessage(this.recognitionLabels[option.value]);
+            }
+        });
+
+        this.updateStatus(state);
+        this.updateHint(state);
+        this.updateInputModeToggle();
+    }
+
+    /**
+     * Get an interface message in the native language
+     * @param {string} key - Message key
+     * @param {Object} params - Values for {placeholder} substitution
+     * @returns {string} Localized message
+     */
+    getMessage(key, params = {}) {
+        return this.registry.getMessage(this.textLanguages.native.code, key, params);
+    }
+
+    /**
+     * Set language selections (e.g. when restoring saved progress)
+     * Unknown codes are ignored so the current selection is kept
+     * @param {string} native - Native language code
+     * @param {string} learning - Learning language code
+     */
+    setLanguageSelections(native, learning) {
+        const { nativeLangSelect, learningLangSelect } = this.elements;
+        const hasOption = (select, value) =>
+            Array.from(select.options).some(option => option.value === value);
+
+        if (hasOption(nativeLangSelect, native)) {
+            nativeLangSelect.value = native;
+        }
+        if (hasOption(learningLangSelect, learning)) {
+            learningLangSelect.value = learning;
+        }
+    }
+
+    /**
+     * Show the active learner in the header
+     * @param {Object|null} profile - Active profile
+     */
+    setProfile(profile) {
+        this.elements.profileAvatar.textContent = profile ? profile.avatar : '👤';
+        this.elements.profileName.textContent = profile ? profile.name : this.getMessage('default_learner');
+    }
+
     /**
      * Validate language selections (can't be the same)
      * @returns {boolean} True if valid
@@ -344,7 +927,7 @@ class UIEngine {
         const { native, learning } = this.getLanguageSelections();
         
         if (native === learning) {
-            this.showError('Please select different languages for native and learning!');
+            this.showError(this.getMessage('same_languages'));
             return false;
         }
 
@@ -380,12 +963,15 @@ class UIEngine {
                     <div class="avatar-ring"></div>
                     <div class="avatar-pulse"></div>
                 </div>
-                <h2 class="welcome-title">Welcome to LinguaBridge AI</h2>
-                <p class="welcome-subtitle">Your personal voice language tutor. Click the microphone to start practicing!</p>
+                <h2 class="welcome-title" data-message="welcome_title"></h2>
+                <p class="welcome-subtitle" data-message="welcome_subtitle"></p>
             </div>
         `;
         
         this.elements.chatContainer.innerHTML = welcomeHTML;
+        this.elements.chatContainer.querySelectorAll('[data-message]').forEach(element => {
+            element.textContent = this.getMessage(element.dataset.message);
+        });
     }
 
     /**
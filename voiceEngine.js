@@ -2,11 +2,13 @@
  * ============================================
  * VOICE ENGINE
  * ============================================
- * Handles all voice interaction using Web Speech API
+ * Handles all voice interaction
  * 
  * Features:
- * - Speech Recognition (listening to user)
- * - Speech Synthesis (speaking responses)
+ * - Speech Recognition (listening to user) through a RecognitionProvider:
+ *   the browser's Web Speech API or an offline model, with fallback
+ * - Speech Synthesis (speaking responses) through a SynthesisProvider:
+ *   the browser's voices or offline Piper voices, chosen per language
  * - Feedback loop prevention
  * - Duplicate transcript filtering
  * - State-aware operation
@@ -15,21 +17,107 @@
  * - Recognition MUST stop before synthesis starts
  * - Recognition does NOT auto-restart
  * - Only responds to manual mic button clicks
- * - Ignores duplicates and mic input while speaking
+ * - Ignores duplicate transcripts
+ * - A mic click while speaking interrupts the tutor (barge-in): speech is
+ *   cancelled and recognition starts after BARGE_IN_DELAY_MS, once the
+ *   tutor's audio has died away
  */
 
 class VoiceEngine {
-    constructor(stateManager) {
+    /**
+     * Recognition settings: providers tried in order, by name
+     * "auto" prefers the offline model and falls back to the browser;
+     * "offline" never sends audio off the device
+     */
+    static RECOGNITION_SETTINGS = {
+        auto: ['vosk', 'webspeech'],
+        offline: ['vosk'],
+        webspeech: ['webspeech']
+    };
+
+    /**
+     * Provider errors that mean "try the next provider" rather than "try again"
+     */
+    static FALLBACK_ERRORS = ['network', 'service-not-allowed', 'language-not-supported', 'model-unavailable'];
+
+    /**
+     * Fallback errors that won't go away by trying again: the provider is
+     * skipped for that language for the rest of the session (the others,
+     * like a network blip, only skip it for the current attempt)
+     */
+    static PERMANENT_ERRORS = ['language-not-supported', 'model-unavailable'];
+
+    /**
+     * Synthesis providers tried in order when a language has no chosen voice
+     */
+    static SYNTHESIS_ORDER = ['webspeech', 'piper'];
+
+    /**
+     * Speech rates (1.0 = the voice's normal speed)
+     * Feedback is spoken at DEFAULT_RATE; target phrases at the learner's
+     * phrase rate, between MIN_RATE and MAX_RATE. "Repeat slowly" uses
+     * SLOW_RATE (or the phrase rate, if that is slower) with a pause of
+     * WORD_PAUSE_MS after every word. Segments in different voices are
+     * SEGMENT_PAUSE_MS apart.
+     */
+    static DEFAULT_RATE = 0.9;
+    static MIN_RATE = 0.5;
+    static MAX_RATE = 1.2;
+    static SLOW_RATE = 0.6;
+    static WORD_PAUSE_MS = 400;
+    static SEGMENT_PAUSE_MS = 250;
+
+    /**
+     * Wait between cancelling speech and opening the microphone on barge-in
+     * Audio already queued in the output device keeps playing briefly; the
+     * recognizer must not hear the tail of the tutor's own voice
+     */
+    static BARGE_IN_DELAY_MS = 300;
+
+    /**
+     * @param {StateManager} stateManager - Voice state
+     * @param {Object} options - { recognition: { provider, vosk }, synthesis: { piper } }
+     *   from the speech-config block
+     */
+    constructor(stateManager, options = {}) {
         this.stateManager = stateManager;
         
         // Speech Recognition setup
-        this.recognition = null;
+        const recognitionOptions = options.recognition || {};
+        this.recognitionProviders = {
+            vosk: new VoskRecognitionProvider(recognitionOptions.vosk),
+            webspeech: new WebSpeechRecognitionProvider()
+        };
+        this.recognitionSetting = 'auto';
+        this.recognition = null; // Provider listening right now (or last)
+        this.failedProviders = new Set(); // "provider:locale" pairs that failed for good this session
         this.recognitionAvailable = false;
-        this.initializeRecognition();
+        this.setRecognitionSetting(recognitionOptions.provider || 'auto');
         
         // Speech Synthesis setup
-        this.synthesis = window.speechSynthesis;
-        this.synthesisAvailable = 'speechSynthesis' in window;
+        const synthesisOptions = options.synthesis || {};
+        this.synthesisProviders = {
+            webspeech: new WebSpeechSynthesisProvider(),
+            piper: new PiperSynthesisProvider(synthesisOptions.piper)
+        };
+        this.synthesisAvailable = Object.values(this.synthesisProviders).some(provider => provider.isAvailable());
+        this.speechQueue = null; // Utterances being spoken: { cancelled, interrupted }
+        this.bargeInTimer = null; // Pending recognizer start after a barge-in
+        this.phraseRate = VoiceEngine.DEFAULT_RATE; // Learner's speed for target phrases
+
+        // Chosen voice per language code ({ es: "piper:es_ES-davefx-medium" })
+        this.voiceChoices = {};
+        this.onVoicesChangeCallback = null;
+        Object.values(this.synthesisProviders).forEach(provider => {
+            provider.onvoiceschanged = () => {
+                // A provider may have dropped out (Piper's library failed to load)
+                this.synthesisAvailable = Object.values(this.synthesisProviders).some(candidate => candidate.isAvailable());
+
+                if (this.onVoicesChangeCallback) {
+                    this.onVoicesChangeCallback();
+                }
+            };
+        });
         
         // Track last transcript to prevent duplicates
         this.lastTranscript = '';
@@ -50,45 +138,80 @@ class VoiceEngine {
     }
 
     /**
-     * Initialize Speech Recognition API
+     * Choose which recognition providers to use
+     * @param {string} setting - Key of RECOGNITION_SETTINGS
+     * @returns {boolean} True if the setting is known
      */
-    initializeRecognition() {
-        // Check for Speech Recognition support
-        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-        
-        if (!SpeechRecognition) {
-            this.log('Speech Recognition not supported', 'error');
-            this.recognitionAvailable = false;
-            return;
+    setRecognitionSetting(setting) {
+        if (!VoiceEngine.RECOGNITION_SETTINGS[setting]) {
+            this.log(`Unknown recognition setting "${setting}"`, 'warn');
+            return false;
         }
 
-        // Create recognition instance
-        this.recognition = new SpeechRecognition();
-        
-        // Configure recognition
-        this.recognition.continuous = false; // Stop after one phrase
-        this.recognition.interimResults = false; // Only final results
-        this.recognition.maxAlternatives = 1; // Single best result
-        this.recognition.lang = this.recognitionLang;
-
-        // Set up event handlers
-        this.setupRecognitionHandlers();
-        
-        this.recognitionAvailable = true;
-        this.log('Speech Recognition ready');
+        this.recognitionSetting = setting;
+        this.recognitionAvailable = VoiceEngine.RECOGNITION_SETTINGS[setting]
+            .some(name => this.recognitionProviders[name].isAvailable());
+
+        this.log(`Recognition setting: ${setting} (${this.recognitionAvailable ? 'available' : 'unavailable'})`);
+        return true;
+    }
+
+    /**
+     * Get the recognition settings with their availability
+     * @returns {Array} { value, available } in RECOGNITION_SETTINGS order
+     */
+    getRecognitionSettings() {
+        return Object.entries(VoiceEngine.RECOGNITION_SETTINGS).map(([value, names]) => ({
+            value,
+            available: names.some(name => this.recognitionProviders[name].isAvailable())
+        }));
+    }
+
+    /**
+     * Get the providers to try for a locale, best first
+     * @param {string} locale - BCP-47 locale
+     * @returns {Array} Recognition providers
+     */
+    getRecognitionProviders(locale) {
+        return VoiceEngine.RECOGNITION_SETTINGS[this.recognitionSetting]
+            .map(name => this.recognitionProviders[name])
+            .filter(provider => provider.isAvailable() &&
+                provider.supportsLanguage(locale) &&
+                !this.failedProviders.has(`${provider.name}:${locale}`));
     }
 
     /**
-     * Set up all recognition event handlers
+     * Start one provider, falling back to the next on provider failures
+     * @param {Array} providers - Providers still to try, best first
      */
-    setupRecognitionHandlers() {
-        // Recognition started successfully
-        this.recognition.onstart = () => {
-            this.log('Recognition started');
+    async startProvider(providers) {
+        const [provider, ...fallbacks] = providers;
+        const locale = this.recognitionLang;
+        this.recognition = provider;
+
+        // Move on to the next provider, still in LISTENING
+        const fallBack = (code = null) => {
+            if (VoiceEngine.PERMANENT_ERRORS.includes(code)) {
+                this.failedProviders.add(`${provider.name}:${locale}`);
+            }
+
+            if (fallbacks.length > 0 && this.stateManager.is(StateManager.STATES.LISTENING)) {
+                this.log(`Recognition provider ${provider.name} failed - trying ${fallbacks[0].name}`, 'warn');
+                this.startProvider(fallbacks);
+                return true;
+            }
+            return false;
         };
 
-        // Recognition ended
-        this.recognition.onend = () => {
+        // Events of a provider that was replaced are ignored
+        const isCurrent = () => this.recognition === provider;
+
+        provider.onstart = () => {
+            this.log(`Recognition started (${provider.name})`);
+        };
+
+        provider.onend = () => {
+            if (!isCurrent()) return;
             this.log('Recognition ended');
             
             // If we're still in LISTENING state, transition to IDLE
@@ -98,73 +221,115 @@ class VoiceEngine {
             }
         };
 
-        // Speech detected and transcribed
-        this.recognition.onresult = (event) => {
-            const result = event.results[0];
-            const transcript = result[0].transcript.trim();
-            const confidence = result[0].confidence;
+        provider.onresult = (transcript, confidence) => {
+            if (isCurrent()) {
+                this.handleRecognitionResult(transcript, confidence);
+            }
+        };
 
-            this.log(`Transcript: "${transcript}" (confidence: ${confidence.toFixed(2)})`);
+        provider.onerror = (code) => {
+            if (!isCurrent()) return;
 
-            // Check for duplicate (same text within 2 seconds)
-            const now = Date.now();
-            if (transcript === this.lastTranscript && (now - this.lastTranscriptTime) < 2000) {
-                this.log('Duplicate transcript ignored', 'warn');
+            if (VoiceEngine.FALLBACK_ERRORS.includes(code) && fallBack(code)) {
                 return;
             }
+            this.handleRecognitionError(code);
+        };
 
-            // Store this transcript
-            this.lastTranscript = transcript;
-            this.lastTranscriptTime = now;
-
-            // Only process if in LISTENING state
-            if (this.stateManager.is(StateManager.STATES.LISTENING)) {
-                // Transition to PROCESSING
-                this.stateManager.transition(StateManager.STATES.PROCESSING);
-                
-                // Call the transcript callback
-                if (this.onTranscriptCallback) {
-                    this.onTranscriptCallback(transcript, confidence);
-                }
+        try {
+            await provider.start(locale);
+            this.log(`Started listening in ${locale} (${provider.name})`);
+        } catch (error) {
+            this.log(`Failed to start recognition (${provider.name}): ${error.message}`, 'error');
+            if (isCurrent() && !fallBack(error.message)) {
+                this.stateManager.reset();
             }
-        };
+        }
+    }
 
-        // Error occurred
-        this.recognition.onerror = (event) => {
-            this.log(`Recognition error: ${event.error}`, 'error');
+    /**
+     * Handle a final transcript from the recognition provider
+     * @param {string} transcript - Recognized text
+     * @param {number|null} confidence - Recognizer confidence (null if unknown)
+     */
+    handleRecognitionResult(transcript, confidence) {
+        const confidenceText = typeof confidence === 'number' ? confidence.toFixed(2) : 'unknown';
+        this.log(`Transcript: "${transcript}" (confidence: ${confidenceText})`);
+
+        // Check for duplicate (same text within 2 seconds)
+        const now = Date.now();
+        if (transcript === this.lastTranscript && (now - this.lastTranscriptTime) < 2000) {
+            this.log('Duplicate transcript ignored', 'warn');
+            return;
+        }
+
+        // Store this transcript
+        this.lastTranscript = transcript;
+        this.lastTranscriptTime = now;
+
+        // Only process if in LISTENING state
+        if (this.stateManager.is(StateManager.STATES.LISTENING)) {
+            // Transition to PROCESSING
+            this.stateManager.transition(StateManager.STATES.PROCESSING);
             
-            // Handle specific errors
-            switch (event.error) {
-                case 'no-speech':
-                    this.log('No speech detected', 'warn');
-                    break;
-                case 'audio-capture':
-                    this.log('No microphone found', 'error');
-                    if (this.onErrorCallback) {
-                        this.onErrorCallback('No microphone detected. Please check your device.');
-                    }
-                    break;
-                case 'not-allowed':
-                    this.log('Microphone permission denied', 'error');
-                    if (this.onErrorCallback) {
-                        this.onErrorCallback('Microphone access denied. Please allow microphone access.');
-                    }
-                    break;
+            // Call the transcript callback
+            if (this.onTranscriptCallback) {
+                this.onTranscriptCallback(transcript, confidence);
             }
+        }
+    }
 
-            // Reset to IDLE on error
-            this.stateManager.reset();
-        };
+    /**
+     * Handle a recognition error
+     * @param {string} code - Error code (see RecognitionProvider)
+     */
+    handleRecognitionError(code) {
+        this.log(`Recognition error: ${code}`, 'error');
+        
+        // Handle specific errors
+        switch (code) {
+            case 'no-speech':
+                this.log('No speech detected', 'warn');
+                break;
+            case 'audio-capture':
+                this.log('No microphone found', 'error');
+                if (this.onErrorCallback) {
+                    this.onErrorCallback('No microphone detected. Please check your device.', code);
+                }
+                break;
+            case 'not-allowed':
+            case 'service-not-allowed':
+                this.log('Microphone permission denied', 'error');
+                if (this.onErrorCallback) {
+                    this.onErrorCallback('Microphone access denied. Please allow microphone access.', code);
+                }
+                break;
+            case 'network':
+            case 'language-not-supported':
+            case 'model-unavailable':
+                if (this.onErrorCallback) {
+                    this.onErrorCallback('Speech recognition is not available right now. You can type your answer instead.', code);
+                }
+                break;
+        }
+
+        // Reset to IDLE on error
+        this.stateManager.reset();
     }
 
     /**
      * Start listening for speech
+     * While the tutor is speaking this interrupts it (barge-in): speech is
+     * cancelled, the state goes straight to LISTENING and the recognizer
+     * starts BARGE_IN_DELAY_MS later
      * @returns {boolean} True if started successfully
      */
     startListening() {
-        // Can only start from IDLE state
-        if (!this.stateManager.is(StateManager.STATES.IDLE)) {
-            this.log('Cannot start listening - not in IDLE state', 'warn');
+        const interrupting = this.stateManager.is(StateManager.STATES.SPEAKING);
+
+        // Can only start from IDLE state, or from SPEAKING to interrupt
+        if (!this.stateManager.is(StateManager.STATES.IDLE) && !interrupting) {
+            this.log('Cannot start listening - not in IDLE or SPEAKING state', 'warn');
             return false;
         }
 
@@ -172,36 +337,60 @@ class VoiceEngine {
         if (!this.recognitionAvailable) {
             this.log('Speech Recognition not available', 'error');
             if (this.onErrorCallback) {
-                this.onErrorCallback('Speech recognition is not supported in your browser.');
+                this.onErrorCallback('Speech recognition is not supported in your browser.', 'not-supported');
             }
             return false;
         }
 
-        try {
-            // Transition to LISTENING state
-            if (!this.stateManager.transition(StateManager.STATES.LISTENING)) {
-                return false;
+        const providers = this.getRecognitionProviders(this.recognitionLang);
+        if (providers.length === 0) {
+            this.log(`No recognition provider for ${this.recognitionLang} (${this.recognitionSetting})`, 'error');
+            if (this.onErrorCallback) {
+                this.onErrorCallback('Speech recognition is not available for this language. You can type your answer instead.', 'language-not-supported');
             }
+            return false;
+        }
 
-            // Update recognition language
-            this.recognition.lang = this.recognitionLang;
-            
-            // Start recognition
-            this.recognition.start();
-            this.log(`Started listening in ${this.recognitionLang}`);
-            
-            return true;
-        } catch (error) {
-            this.log(`Failed to start recognition: ${error.message}`, 'error');
-            this.stateManager.reset();
+        // CRITICAL: Silence the tutor before the microphone opens
+        if (interrupting) {
+            this.interruptSpeech();
+        }
+
+        // Transition to LISTENING state
+        if (!this.stateManager.transition(StateManager.STATES.LISTENING)) {
             return false;
         }
+
+        // Start recognition (errors arrive through the provider handlers),
+        // after a barge-in only once the tutor's audio has died away
+        if (interrupting) {
+            this.bargeInTimer = setTimeout(() => {
+                this.bargeInTimer = null;
+                if (this.stateManager.is(StateManager.STATES.LISTENING)) {
+                    this.startProvider(providers);
+                }
+            }, VoiceEngine.BARGE_IN_DELAY_MS);
+        } else {
+            this.startProvider(providers);
+        }
+        return true;
     }
 
     /**
      * Stop listening (manual stop)
      */
     stopListening() {
+        // Stopped again before the recognizer started after a barge-in
+        if (this.bargeInTimer) {
+            clearTimeout(this.bargeInTimer);
+            this.bargeInTimer = null;
+            if (this.stateManager.is(StateManager.STATES.LISTENING)) {
+                this.stateManager.transition(StateManager.STATES.IDLE);
+            }
+            this.log('Stopped listening before recognition started (manual)');
+            return;
+        }
+
         if (this.recognition && this.stateManager.is(StateManager.STATES.LISTENING)) {
             this.recognition.stop();
             this.log('Stopped listening (manual)');
@@ -210,87 +399,227 @@ class VoiceEngine {
 
     /**
      * Speak text using speech synthesis
-     * @param {string} text - Text to speak
+     * Text can be a sequence of segments, each in its own language: every
+     * segment gets that language's voice, and the whole sequence is one
+     * SPEAKING phase (cancelSpeech() stops all of it)
+     * @param {string|Array} text - Text to speak, or segments as { text, lang, rate }
+     *   (a segment without lang or rate uses the arguments below)
      * @param {string} lang - Language code (optional, uses synthesisLang by default)
+     * @param {Object} options - { rate } (optional, DEFAULT_RATE by default)
      * @returns {Promise} Resolves when speech finishes
      */
-    speak(text, lang = null) {
-        return new Promise((resolve, reject) => {
-            // Must be in PROCESSING state to start speaking
-            if (!this.stateManager.is(StateManager.STATES.PROCESSING)) {
-                this.log('Cannot speak - not in PROCESSING state', 'warn');
-                reject(new Error('Invalid state for speaking'));
-                return;
+    speak(text, lang = null, options = {}) {
+        const segments = Array.isArray(text) ? text : [{ text }];
+
+        return this.speakQueue(segments.map(segment => ({
+            text: segment.text,
+            locale: segment.lang || lang || this.synthesisLang,
+            rate: segment.rate || options.rate || VoiceEngine.DEFAULT_RATE,
+            pauseAfter: VoiceEngine.SEGMENT_PAUSE_MS
+        })));
+    }
+
+    /**
+     * Speak a phrase slowly, one word at a time
+     * Used to model a target phrase for the learner: slower than their
+     * phrase speed, with a pause after every word
+     * @param {string} text - Phrase to speak
+     * @param {string} lang - Language code (optional, uses synthesisLang by default)
+     * @returns {Promise} Resolves when the whole phrase has been spoken
+     */
+    speakSlowly(text, lang = null) {
+        const locale = lang || this.synthesisLang;
+        const rate = Math.min(this.phraseRate, VoiceEngine.SLOW_RATE);
+
+        return this.speakQueue(text.trim().split(/\s+/).map(word => ({
+            text: word,
+            locale,
+            rate,
+            pauseAfter: VoiceEngine.WORD_PAUSE_MS
+        })));
+    }
+
+    /**
+     * Speak a queue of utterances as one SPEAKING phase
+     * cancelSpeech() stops the queue between and during utterances
+     * @param {Array} items - Utterances as { text, locale, rate, pauseAfter }
+     * @returns {Promise} Resolves when the last utterance finishes
+     */
+    async speakQueue(items) {
+        // Must be in PROCESSING state to start speaking
+        if (!this.stateManager.is(StateManager.STATES.PROCESSING)) {
+            this.log('Cannot speak - not in PROCESSING state', 'warn');
+            throw new Error('Invalid state for speaking');
+        }
+
+        // Check if synthesis is available for every utterance
+        const choices = items.map(item => (this.synthesisAvailable ? this.resolveVoice(item.locale) : null));
+        const missing = items.find((item, index) => !choices[index]);
+        if (missing) {
+            this.log(`Speech Synthesis not available for ${missing.locale}`, 'error');
+            throw new Error('Speech synthesis not available');
+        }
+
+        // CRITICAL: Stop any ongoing speech before starting new one
+        this.cancelSpeech();
+
+        // CRITICAL: Ensure recognition is completely stopped
+        if (this.recognition) {
+            try {
+                this.recognition.stop();
+            } catch (e) {
+                // Already stopped, ignore
             }
+        }
+
+        // Transition to SPEAKING state
+        if (!this.stateManager.transition(StateManager.STATES.SPEAKING)) {
+            throw new Error('Failed to transition to SPEAKING state');
+        }
+
+        const queue = { cancelled: false };
+        this.speechQueue = queue;
+
+        try {
+            for (let index = 0; index < items.length; index++) {
+                const item = items[index];
+
+                await this.speakUtterance(item, choices[index], queue);
+
+                if (item.pauseAfter > 0 && index < items.length - 1) {
+                    await new Promise(resolve => setTimeout(resolve, item.pauseAfter));
+                }
 
-            // Check if synthesis is available
-            if (!this.synthesisAvailable) {
-                this.log('Speech Synthesis not available', 'error');
-                reject(new Error('Speech synthesis not available'));
+                // Cancelled during the pause, or by a provider that resolves on cancel
+                if (queue.cancelled) {
+                    throw new Error('interrupted');
+                }
+            }
+        } catch (error) {
+            // Barge-in: the learner is already being listened to
+            if (queue.interrupted) {
+                this.log('Speech interrupted by the learner');
                 return;
             }
 
-            // CRITICAL: Stop any ongoing speech before starting new one
-            if (this.synthesis.speaking) {
-                this.synthesis.cancel();
-                this.log('Cancelled previous speech');
+            this.log(`Speech error: ${error.message}`, 'error');
+            if (this.speechQueue === queue) {
+                this.speechQueue = null;
+                this.stateManager.reset();
             }
+            throw error;
+        }
 
-            // CRITICAL: Ensure recognition is completely stopped
-            if (this.recognition) {
-                try {
-                    this.recognition.stop();
-                } catch (e) {
-                    // Already stopped, ignore
-                }
-            }
+        this.speechQueue = null;
+        this.log('Finished speaking');
+
+        // Transition back to IDLE when done speaking
+        this.stateManager.transition(StateManager.STATES.IDLE);
+    }
 
-            // Transition to SPEAKING state
-            if (!this.stateManager.transition(StateManager.STATES.SPEAKING)) {
-                reject(new Error('Failed to transition to SPEAKING state'));
+    /**
+     * Speak one utterance of a queue
+     * If the provider fails (Piper's library or model is missing, the
+     * browser reports synthesis-failed, ...) the next provider in
+     * SYNTHESIS_ORDER that speaks the language takes over with its default
+     * voice; if none is left the utterance is skipped, so the rest of the
+     * reply is still spoken
+     * @param {Object} item - Utterance as { text, locale, rate }
+     * @param {Object} choice - Provider and voice from resolveVoice()
+     * @param {Object} queue - Queue the utterance belongs to
+     * @returns {Promise} Resolves when spoken or skipped; rejects if the queue was cancelled
+     */
+    async speakUtterance(item, choice, queue) {
+        const tried = new Set();
+        let current = choice;
+
+        while (current) {
+            tried.add(current.provider);
+            this.log(`Started speaking (${current.provider.name}${current.voice ? `: ${current.voice.name}` : ''}, rate ${item.rate}): "${item.text.substring(0, 50)}..."`);
+
+            try {
+                await current.provider.speak(item.text, {
+                    locale: item.locale,
+                    voice: current.voice,
+                    rate: item.rate,
+                    pitch: 1.0,
+                    volume: 1.0
+                });
                 return;
+            } catch (error) {
+                if (queue.cancelled) {
+                    throw error;
+                }
+                this.log(`Speech error (${current.provider.name}): ${error.message}`, 'warn');
+
+                const next = VoiceEngine.SYNTHESIS_ORDER
+                    .map(name => this.synthesisProviders[name])
+                    .find(candidate => !tried.has(candidate) &&
+                        candidate.isAvailable() &&
+                        candidate.supportsLanguage(item.locale));
+                current = next ? { provider: next, voice: null } : null;
             }
+        }
 
-            // Create utterance
-            const utterance = new SpeechSynthesisUtterance(text);
-            utterance.lang = lang || this.synthesisLang;
-            utterance.rate = 0.9; // Slightly slower for learning
-            utterance.pitch = 1.0;
-            utterance.volume = 1.0;
-
-            // Handle speech events
-            utterance.onstart = () => {
-                this.log(`Started speaking: "${text.substring(0, 50)}..."`);
-            };
+        this.log(`Skipped "${item.text.substring(0, 50)}..." - no voice could speak ${item.locale}`, 'warn');
+    }
 
-            utterance.onend = () => {
-                this.log('Finished speaking');
-                
-                // Transition back to IDLE when done speaking
-                this.stateManager.transition(StateManager.STATES.IDLE);
-                
-                resolve();
-            };
+    /**
+     * Pick the provider and voice for a locale
+     * The learner's chosen voice wins; otherwise the first provider in
+     * SYNTHESIS_ORDER that speaks the language, with its default voice
+     * @param {string} locale - BCP-47 locale
+     * @returns {Object|null} { provider, voice } (voice null = default), or null if nothing speaks it
+     */
+    resolveVoice(locale) {
+        const key = this.voiceChoices[this.getLanguage(locale)];
+
+        if (key) {
+            const separator = key.indexOf(':');
+            const provider = this.synthesisProviders[key.slice(0, separator)];
+            const id = key.slice(separator + 1);
+            const voice = provider && provider.isAvailable()
+                ? provider.getVoices(locale).find(candidate => candidate.id === id)
+                : null;
+
+            if (voice) {
+                return { provider, voice };
+            }
+        }
 
-            utterance.onerror = (event) => {
-                this.log(`Speech error: ${event.error}`, 'error');
-                this.stateManager.reset();
-                reject(new Error(event.error));
-            };
+        const provider = VoiceEngine.SYNTHESIS_ORDER
+            .map(name => this.synthesisProviders[name])
+            .find(candidate => candidate.isAvailable() && candidate.supportsLanguage(locale));
 
-            // Speak the utterance
-            this.synthesis.speak(utterance);
-        });
+        return provider ? { provider, voice: null } : null;
     }
 
     /**
      * Cancel any ongoing speech
      */
     cancelSpeech() {
-        if (this.synthesis.speaking) {
-            this.synthesis.cancel();
-            this.log('Speech cancelled');
+        if (this.speechQueue) {
+            this.speechQueue.cancelled = true;
+        }
+
+        Object.values(this.synthesisProviders).forEach(provider => {
+            if (provider.isSpeaking()) {
+                provider.cancel();
+                this.log(`Speech cancelled (${provider.name})`);
+            }
+        });
+    }
+
+    /**
+     * Stop speaking because the learner wants to talk (barge-in)
+     * The speech queue then ends quietly: it neither rejects nor changes the state
+     */
+    interruptSpeech() {
+        if (this.speechQueue) {
+            this.speechQueue.interrupted = true;
         }
+        this.cancelSpeech();
+        this.speechQueue = null;
     }
 
     /**
@@ -299,9 +628,6 @@ class VoiceEngine {
      */
     setRecognitionLanguage(langCode) {
         this.recognitionLang = langCode;
-        if (this.recognition) {
-            this.recognition.lang = langCode;
-        }
         this.log(`Recognition language set to ${langCode}`);
     }
 
@@ -324,7 +650,7 @@ class VoiceEngine {
 
     /**
      * Register callback for errors
-     * @param {Function} callback - Called with (errorMessage)
+     * @param {Function} callback - Called with (errorMessage, errorCode)
      */
     onError(callback) {
         this.onErrorCallback = callback;
@@ -343,11 +669,103 @@ class VoiceEngine {
     }
 
     /**
-     * Get available synthesis voices
-     * @returns {Array} List of available voices
+     * Get the voices for a language from every available provider
+     * @param {string} locale - BCP-47 locale
+     * @returns {Array} Voices as { key, name, lang, offline } ("provider:id" keys)
+     */
+    getVoices(locale) {
+        return Object.values(this.synthesisProviders)
+            .filter(provider => provider.isAvailable())
+            .reduce((all, provider) => all.concat(provider.getVoices(locale).map(voice => ({
+                key: `${provider.name}:${voice.id}`,
+                name: voice.name,
+                lang: voice.lang,
+                offline: provider.offline
+            }))), []);
+    }
+
+    /**
+     * Check if a synthesis voice exists for a locale
+     * Voices load asynchronously; until the list arrives any locale counts as voiced
+     * @param {string} locale - BCP-47 locale (e.g. 'ar-SA')
+     * @returns {boolean} True if text in this locale can be spoken
+     */
+    hasVoice(locale) {
+        return this.synthesisAvailable && this.resolveVoice(locale) !== null;
+    }
+
+    /**
+     * Choose the voice for a language
+     * @param {string} language - Language code
+     * @param {string|null} key - Voice key from getVoices(), or null for the default
+     */
+    setVoice(language, key) {
+        if (key) {
+            this.voiceChoices[language] = key;
+        } else {
+            delete this.voiceChoices[language];
+        }
+        this.log(`Voice for ${language}: ${key || 'default'}`);
+    }
+
+    /**
+     * @param {string} language - Language code
+     * @returns {string|null} Chosen voice key, or null for the default
+     */
+    getVoice(language) {
+        return this.voiceChoices[language] || null;
+    }
+
+    /**
+     * Get every chosen voice (saved with the learner's progress)
+     * @returns {Object} Voice keys by language code
+     */
+    getVoiceChoices() {
+        return { ...this.voiceChoices };
+    }
+
+    /**
+     * Replace the chosen voices (from a learner's saved progress)
+     * @param {Object} choices - Voice keys by language code
+     */
+    setVoiceChoices(choices) {
+        this.voiceChoices = { ...(choices || {}) };
+    }
+
+    /**
+     * Set the learner's speed for target phrases
+     * @param {number|null} rate - Speech rate (null = DEFAULT_RATE), kept
+     *   between MIN_RATE and MAX_RATE
+     */
+    setPhraseRate(rate) {
+        this.phraseRate = typeof rate === 'number' && isFinite(rate)
+            ? Math.min(VoiceEngine.MAX_RATE, Math.max(VoiceEngine.MIN_RATE, rate))
+            : VoiceEngine.DEFAULT_RATE;
+        this.log(`Phrase rate: ${this.phraseRate}`);
+    }
+
+    /**
+     * @returns {number} Learner's speed for target phrases
+     */
+    getPhraseRate() {
+        return this.phraseRate;
+    }
+
+    /**
+     * Register callback for when the voice list changes
+     * @param {Function} callback - Called without arguments
+     */
+    onVoicesChange(callback) {
+        this.onVoicesChangeCallback = callback;
+    }
+
+    /**
+     * Get the language part of a locale
+     * @param {string} locale - BCP-47 locale
+     * @returns {string} Language code
      */
-    getVoices() {
-        return this.synthesis.getVoices();
+    getLanguage(locale) {
+        return locale.replace('_', '-').split('-')[0].toLowerCase();
     }
 
     /**
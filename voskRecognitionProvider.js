@@ -0,0 +1,304 @@
+/**
+ * ============================================
+ * VOSK RECOGNITION PROVIDER
+ * ============================================
+ * Offline recognition with a local Vosk model (vosk-browser WASM build)
+ *
+ * Microphone audio is recognized in the page; nothing is sent anywhere.
+ * The library and one small model per language are served with the app
+ * and loaded on first use (a model is ~40 MB, so the first start is slow).
+ * Neither ships with the repo: until scriptUrl and models point at files
+ * that were copied in, the provider is unavailable and "Offline only"
+ * can't be picked.
+ *
+ * Configured in the speech-config block of index.html:
+ * {
+ *   "recognition": {
+ *     "vosk": {
+ *       "scriptUrl": "vendor/vosk/vosk.js",                          (required)
+ *       "models": { "es": "models/vosk-model-small-es-0.42.tar.gz" }, (required, by language code)
+ *       "silenceTimeoutMs": 8000                                     (optional)
+ *     }
+ *   }
+ * }
+ */
+
+class VoskRecognitionProvider extends RecognitionProvider {
+    /**
+     * Defaults for optional settings
+     */
+    static DEFAULTS = {
+        scriptUrl: '',
+        models: {},
+        silenceTimeoutMs: 8000
+    };
+
+    /**
+     * Samples per audio callback
+     */
+    static BUFFER_SIZE = 4096;
+
+    /**
+     * @param {Object} options - { scriptUrl, models, silenceTimeoutMs }
+     */
+    constructor(options = {}) {
+        super('vosk', true);
+        this.options = { ...VoskRecognitionProvider.DEFAULTS, ...options };
+
+        // Library and model downloads (promises, kept once loaded)
+        this.library = null;
+        this.models = {};
+
+        // Audio graph of the phrase being recognized
+        this.session = null;
+    }
+
+    /**
+     * @returns {boolean} True if models are configured and the browser has
+     *   microphone access, Web Audio and WebAssembly
+     */
+    isAvailable() {
+        return Boolean(this.options.scriptUrl) &&
+            Object.keys(this.options.models).length > 0 &&
+            Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia) &&
+            Boolean(window.AudioContext || window.webkitAudioContext) &&
+            typeof WebAssembly === 'object';
+    }
+
+    /**
+     * @param {string} locale - BCP-47 locale
+     * @returns {boolean} True if a model is configured for the language
+     */
+    supportsLanguage(locale) {
+        return this.getModelUrl(locale) !== null;
+    }
+
+    /**
+     * @param {string} locale - BCP-47 locale
+     * @returns {string|null} Model URL for the locale's language
+     */
+    getModelUrl(locale) {
+        return this.options.models[locale.split('-')[0].toLowerCase()] || null;
+    }
+
+    /**
+     * Load the model, open the microphone and feed it to the recognizer
+     * Failures are reported through onerror and onend
+     * @param {string} locale - BCP-47 locale to recognize
+     */
+    async start(locale) {
+        if (this.session) {
+            throw new Error('Already listening');
+        }
+
+        const session = { ended: false };
+        this.session = session;
+
+        let model;
+        try {
+            model = await this.loadModel(locale);
+        } catch (error) {
+            this.log(`Offline model unavailable: ${error.message}`, 'error');
+            this.fail(session, 'model-unavailable');
+            return;
+        }
+        if (session.ended) return;
+
+        try {
+            session.stream = await navigator.mediaDevices.getUserMedia({
+                audio: { echoCancellation: true, noiseSuppression: true, channelCount: 1 }
+            });
+        } catch (error) {
+            const denied = error.name === 'NotAllowedError' || error.name === 'SecurityError';
+            this.fail(session, denied ? 'not-allowed' : 'audio-capture');
+            return;
+        }
+
+        // Stopped while the model or microphone was loading
+        if (session.ended) {
+            this.teardown(session);
+            return;
+        }
+
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        session.context = new AudioContext();
+
+        session.recognizer = new model.KaldiRecognizer(session.context.sampleRate);
+        session.recognizer.setWords(true);
+        session.recognizer.on('result', (message) => this.handleResult(session, message.result));
+        session.recognizer.on('partialresult', (message) => this.handlePartialResult(session, message.result));
+
+        session.source = session.context.createMediaStreamSource(session.stream);
+        session.processor = session.context.createScriptProcessor(VoskRecognitionProvider.BUFFER_SIZE, 1, 1);
+        session.processor.onaudioprocess = (event) => {
+            try {
+                session.recognizer.acceptWaveform(event.inputBuffer);
+            } catch (error) {
+                this.log(`Audio not accepted: ${error.message}`, 'warn');
+            }
+        };
+        session.source.connect(session.processor);
+        session.processor.connect(session.context.destination);
+
+        // Give up like the browser does when nobody speaks
+        this.restartSilenceTimer(session);
+
+        this.log(`Listening offline in ${locale}`);
+        this.emit('onstart');
+    }
+
+    /**
+     * Stop listening
+     */
+    stop() {
+        if (this.session) {
+            this.end(this.session);
+        }
+    }
+
+    /**
+     * (Re)start the silence timer: 'no-speech' after silenceTimeoutMs
+     * without any recognized speech
+     * @param {Object} session - Listening session
+     */
+    restartSilenceTimer(session) {
+        clearTimeout(session.timer);
+        session.timer = setTimeout(() => this.fail(session, 'no-speech'), this.options.silenceTimeoutMs);
+    }
+
+    /**
+     * Keep listening while the learner is speaking
+     * @param {Object} session - Listening session
+     * @param {Object} result - Vosk partial result ({ partial })
+     */
+    handlePartialResult(session, result) {
+        if (session.ended || !(result.partial || '').trim()) return;
+
+        this.restartSilenceTimer(session);
+    }
+
+    /**
+     * Report the first non-empty phrase and stop
+     * @param {Object} session - Listening session
+     * @param {Object} result - Vosk result ({ text, result: [{ word, conf }] })
+     */
+    handleResult(session, result) {
+        if (session.ended) return;
+
+        const transcript = (result.text || '').trim();
+        if (!transcript) return;
+
+        // Average word confidence, when the model reports it
+        const words = Array.isArray(result.result) ? result.result : [];
+        const confidence = words.length > 0
+            ? words.reduce((sum, word) => sum + word.conf, 0) / words.length
+            : null;
+
+        this.emit('onresult', transcript, confidence);
+        this.end(session);
+    }
+
+    /**
+     * Report an error and stop
+     * @param {Object} session - Listening session
+     * @param {string} code - Error code
+     */
+    fail(session, code) {
+        if (session.ended) return;
+
+        this.emit('onerror', code);
+        this.end(session);
+    }
+
+    /**
+     * Finish a session once: release the microphone, then call onend
+     * @param {Object} session - Listening session
+     */
+    end(session) {
+        if (session.ended) return;
+
+        session.ended = true;
+        this.teardown(session);
+        if (this.session === session) {
+            this.session = null;
+        }
+
+        this.emit('onend');
+    }
+
+    /**
+     * Release a session's audio graph, microphone and recognizer
+     * @param {Object} session - Listening session
+     */
+    teardown(session) {
+        clearTimeout(session.timer);
+
+        if (session.processor) {
+            session.processor.onaudioprocess = null;
+            session.processor.disconnect();
+        }
+        if (session.source) {
+            session.source.disconnect();
+        }
+        if (session.stream) {
+            session.stream.getTracks().forEach(track => track.stop());
+        }
+        if (session.context) {
+            session.context.close();
+        }
+        if (session.recognizer) {
+            session.recognizer.remove();
+        }
+    }
+
+    /**
+     * Load the Vosk library from scriptUrl (once)
+     * @returns {Promise<Object>} The Vosk global
+     */
+    loadLibrary() {
+        if (!this.library) {
+            this.library = window.Vosk
+                ? Promise.resolve(window.Vosk)
+                : new Promise((resolve, reject) => {
+                    const script = document.createElement('script');
+                    script.src = this.options.scriptUrl;
+                    script.onload = () => (window.Vosk
+                        ? resolve(window.Vosk)
+                        : reject(new Error(`${this.options.scriptUrl} did not define Vosk`)));
+                    script.onerror = () => reject(new Error(`Could not load ${this.options.scriptUrl}`));
+                    document.head.appendChild(script);
+                });
+
+            // Try again next time if it failed
+            this.library.catch(() => {
+                this.library = null;
+            });
+        }
+        return this.library;
+    }
+
+    /**
+     * Load the model for a locale's language (once)
+     * @param {string} locale - BCP-47 locale
+     * @returns {Promise<Object>} Vosk model
+     */
+    loadModel(locale) {
+        const url = this.getModelUrl(locale);
+        if (!url) {
+            return Promise.reject(new Error(`No offline model for ${locale}`));
+        }
+
+        if (!this.models[url]) {
+            this.log(`Loading offline model ${url}`);
+            this.models[url] = this.loadLibrary().then(Vosk => Vosk.createModel(url));
+
+            this.models[url].catch(() => {
+                delete this.models[url];
+            });
+        }
+        return this.models[url];
+    }
+}
+
+// Export for use in other modules
+window.VoskRecognitionProvider = VoskRecognitionProvider;
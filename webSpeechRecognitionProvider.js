@@ -0,0 +1,78 @@
+/**
+ * ============================================
+ * WEB SPEECH RECOGNITION PROVIDER
+ * ============================================
+ * Recognition through the browser's SpeechRecognition API
+ *
+ * Chrome and Edge send the audio to an online speech service, so this
+ * provider needs a connection and is not private; Safari may recognize
+ * on the device. The "auto" setting only uses it when no offline model can.
+ */
+
+class WebSpeechRecognitionProvider extends RecognitionProvider {
+    constructor() {
+        super('webspeech', false);
+
+        this.recognition = null;
+
+        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        if (!SpeechRecognition) {
+            this.log('Speech Recognition not supported', 'warn');
+            return;
+        }
+
+        // Create recognition instance
+        this.recognition = new SpeechRecognition();
+
+        // Configure recognition
+        this.recognition.continuous = false; // Stop after one phrase
+        this.recognition.interimResults = false; // Only final results
+        this.recognition.maxAlternatives = 1; // Single best result
+
+        this.setupHandlers();
+    }
+
+    /**
+     * @returns {boolean} True if the browser has SpeechRecognition
+     */
+    isAvailable() {
+        return this.recognition !== null;
+    }
+
+    /**
+     * Pass recognition events on to the provider handlers
+     */
+    setupHandlers() {
+        this.recognition.onstart = () => this.emit('onstart');
+        this.recognition.onend = () => this.emit('onend');
+        this.recognition.onerror = (event) => this.emit('onerror', event.error);
+
+        this.recognition.onresult = (event) => {
+            const result = event.results[0];
+            this.emit('onresult', result[0].transcript.trim(), result[0].confidence);
+        };
+    }
+
+    /**
+     * Start listening for one phrase
+     * @param {string} locale - BCP-47 locale to recognize
+     */
+    async start(locale) {
+        this.recognition.lang = locale;
+        this.recognition.start();
+    }
+
+    /**
+     * Stop listening
+     */
+    stop() {
+        try {
+            this.recognition.stop();
+        } catch (error) {
+            // Already stopped, ignore
+        }
+    }
+}
+
+// Export for use in other modules
+window.WebSpeechRecognitionProvider = WebSpeechRecognitionProvider;
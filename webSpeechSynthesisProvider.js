@@ -0,0 +1,117 @@
+/**
+ * ============================================
+ * WEB SPEECH SYNTHESIS PROVIDER
+ * ============================================
+ * Speech through the browser's speechSynthesis API
+ *
+ * Voices come from the operating system and the browser. Most run on the
+ * device; some (Chrome's "Google ..." voices) are online and marked so in
+ * the voice picker.
+ */
+
+class WebSpeechSynthesisProvider extends SynthesisProvider {
+    constructor() {
+        super('webspeech', false);
+
+        this.synthesis = 'speechSynthesis' in window ? window.speechSynthesis : null;
+
+        // Voices load asynchronously
+        if (this.synthesis) {
+            this.synthesis.onvoiceschanged = () => this.emit('onvoiceschanged');
+        }
+    }
+
+    /**
+     * @returns {boolean} True if the browser has speechSynthesis
+     */
+    isAvailable() {
+        return this.synthesis !== null;
+    }
+
+    /**
+     * Until the voice list arrives any locale counts as voiced
+     * @param {string} locale - BCP-47 locale
+     * @returns {boolean} True if text in this locale can be spoken
+     */
+    supportsLanguage(locale) {
+        if (!this.synthesis) return false;
+        if (this.synthesis.getVoices().length === 0) return true;
+
+        return this.getVoices(locale).length > 0;
+    }
+
+    /**
+     * Get the voices for a language, exact locale matches first
+     * @param {string} locale - BCP-47 locale
+     * @returns {Array} Voices as { id, name, lang, voice }
+     */
+    getVoices(locale) {
+        if (!this.synthesis) return [];
+
+        const language = this.getLanguage(locale);
+        const exact = locale.replace('_', '-').toLowerCase();
+
+        return this.synthesis.getVoices()
+            .filter(voice => this.getLanguage(voice.lang) === language)
+            .sort((a, b) => {
+                const aExact = a.lang.replace('_', '-').toLowerCase() === exact ? 0 : 1;
+                const bExact = b.lang.replace('_', '-').toLowerCase() === exact ? 0 : 1;
+                return aExact - bExact;
+            })
+            .map(voice => ({
+                id: voice.voiceURI || voice.name,
+                name: voice.localService === false ? `${voice.name} (online)` : voice.name,
+                lang: voice.lang,
+                voice
+            }));
+    }
+
+    /**
+     * Speak text with an utterance
+     * @param {string} text - Text to speak
+     * @param {Object} options - { locale, voice, rate, pitch, volume }
+     * @returns {Promise} Resolves when speech finishes
+     */
+    speak(text, options) {
+        return new Promise((resolve, reject) => {
+            // CRITICAL: Stop any ongoing speech before starting new one
+            if (this.synthesis.speaking) {
+                this.synthesis.cancel();
+                this.log('Cancelled previous speech');
+            }
+
+            const utterance = new SpeechSynthesisUtterance(text);
+            utterance.lang = options.voice ? options.voice.lang : options.locale;
+            if (options.voice) {
+                utterance.voice = options.voice.voice;
+            }
+            utterance.rate = options.rate;
+            utterance.pitch = options.pitch;
+            utterance.volume = options.volume;
+
+            utterance.onend = () => resolve();
+            utterance.onerror = (event) => reject(new Error(event.error));
+
+            this.synthesis.speak(utterance);
+        });
+    }
+
+    /**
+     * Stop speaking
+     */
+    cancel() {
+        if (this.synthesis && this.synthesis.speaking) {
+            this.synthesis.cancel();
+        }
+    }
+
+    /**
+     * @returns {boolean} True while speaking
+     */
+    isSpeaking() {
+        return Boolean(this.synthesis && this.synthesis.speaking);
+    }
+}
+
+// Export for use in other modules
+window.WebSpeechSynthesisProvider = WebSpeechSynthesisProvider;